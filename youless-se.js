@@ -2,11 +2,64 @@ module.exports = function(RED) {
     "use strict";
     const axios = require('axios');
     const dns = require('dns');
+    const fs = require('fs');
+    const http = require('http');
     const { networkInterfaces } = require('os');
     const { promisify } = require('util');
     const lookup = promisify(dns.lookup);
     const reverse = promisify(dns.reverse);
 
+    // Limits for network discovery
+    const MAX_SCAN_ADDRESSES = 4096;
+    const DEFAULT_SCAN_CONCURRENCY = 32;
+
+    // Vendor part of the MAC address of YouLess meters, the default filter
+    // of a discovery scan. A prefix of "*" lists devices of any vendor.
+    const YOULESS_MAC_PREFIX = "72:b8:ad";
+    const MAX_LOCAL_PREFIX = 22; // Larger local networks are scanned around our own address
+
+    function ipToInt(ip) {
+        const parts = String(ip).trim().split('.');
+        if (parts.length !== 4) return null;
+        
+        let result = 0;
+        for (const part of parts) {
+            const octet = Number(part);
+            if (!/^\d{1,3}$/.test(part) || octet > 255) return null;
+            result = result * 256 + octet;
+        }
+        return result;
+    }
+
+    function intToIp(value) {
+        return [value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join('.');
+    }
+
+    // Number of leading one bits in a netmask such as 255.255.254.0
+    function netmaskToPrefix(netmask) {
+        const mask = ipToInt(netmask);
+        if (mask === null) return null;
+        
+        let prefix = 0;
+        while (prefix < 32 && (mask & (0x80000000 >>> prefix)) !== 0) {
+            prefix++;
+        }
+        return prefix;
+    }
+
+    // Host addresses of a network, without the network and broadcast address
+    function networkRange(address, prefix) {
+        const ip = ipToInt(address);
+        if (ip === null || prefix < 0 || prefix > 32) return null;
+        
+        const size = Math.pow(2, 32 - prefix);
+        const network = Math.floor(ip / size) * size;
+        if (prefix >= 31) {
+            return {first: network, last: network + size - 1};
+        }
+        return {first: network + 1, last: network + size - 2};
+    }
+
     // Get local network interfaces to determine network ranges to scan
     function getLocalNetworks() {
         const nets = networkInterfaces();
@@ -16,13 +69,11 @@ module.exports = function(RED) {
             for (const net of nets[name]) {
                 // Skip over non-IPv4 and internal (loopback) addresses
                 if (net.family === 'IPv4' && !net.internal) {
-                    // Extract network part of the IP
-                    const parts = net.address.split('.');
-                    if (parts.length === 4) {
-                        networks.push({
-                            base: `${parts[0]}.${parts[1]}.${parts[2]}`,
-                            netmask: net.netmask
-                        });
+                    const prefix = Math.max(netmaskToPrefix(net.netmask), MAX_LOCAL_PREFIX);
+                    const range = networkRange(net.address, prefix);
+                    if (range) {
+                        range.label = `${intToIp(range.first)}-${intToIp(range.last)} (${name})`;
+                        networks.push(range);
                     }
                 }
             }
@@ -31,12 +82,88 @@ module.exports = function(RED) {
         return networks;
     }
 
+    // Parse the addresses to scan: a comma or space separated list of CIDR
+    // networks (192.168.1.0/23), ranges (192.168.1.10-192.168.1.50 or
+    // 192.168.1.10-50), single addresses and host:port. Empty scans the
+    // networks of the local interfaces.
+    function parseScanTargets(spec) {
+        const targets = [];
+        const ranges = [];
+        const entries = String(spec || "").split(/[\s,]+/).filter(entry => entry !== "");
+        
+        if (entries.length === 0) {
+            ranges.push(...getLocalNetworks());
+        }
+        
+        for (const entry of entries) {
+            let match;
+            if ((match = /^([\d.]+)\/(\d{1,2})$/.exec(entry))) {
+                const range = networkRange(match[1], parseInt(match[2]));
+                if (!range) throw new Error(`Invalid network: ${entry}`);
+                ranges.push(range);
+            } else if ((match = /^([\d.]+)-([\d.]+)$/.exec(entry))) {
+                const first = ipToInt(match[1]);
+                // The end of a range may be just the last octet
+                const last = match[2].indexOf('.') === -1 ?
+                    ipToInt(match[1].replace(/\d+$/, match[2])) :
+                    ipToInt(match[2]);
+                if (first === null || last === null || last < first) throw new Error(`Invalid range: ${entry}`);
+                ranges.push({first: first, last: last});
+            } else if (ipToInt(entry) !== null || /^[\w.-]+:\d+$/.test(entry)) {
+                targets.push(entry);
+            } else {
+                throw new Error(`Invalid address: ${entry}`);
+            }
+        }
+        
+        const seen = new Set(targets);
+        for (const range of ranges) {
+            for (let ip = range.first; ip <= range.last; ip++) {
+                if (seen.size >= MAX_SCAN_ADDRESSES) {
+                    throw new Error(`More than ${MAX_SCAN_ADDRESSES} addresses to scan, please enter a smaller range`);
+                }
+                const address = intToIp(ip);
+                if (!seen.has(address)) {
+                    seen.add(address);
+                    targets.push(address);
+                }
+            }
+        }
+        
+        return targets;
+    }
+
+    // MAC addresses the operating system has seen, from the ARP table (Linux only)
+    function readArpTable() {
+        const table = {};
+        try {
+            const lines = fs.readFileSync('/proc/net/arp', 'utf8').split('\n').slice(1);
+            for (const line of lines) {
+                const columns = line.trim().split(/\s+/);
+                if (columns.length >= 4 && columns[3] !== '00:00:00:00:00:00') {
+                    table[columns[0]] = columns[3].toLowerCase();
+                }
+            }
+        } catch (e) {
+            // No ARP table available, rely on the MAC reported by the device
+        }
+        return table;
+    }
+
+    // Compare a MAC address with a vendor prefix, ignoring case and separators
+    function macMatchesPrefix(mac, prefix) {
+        const normalize = value => String(value || "").toLowerCase().replace(/[^0-9a-f]/g, "");
+        const wanted = normalize(prefix);
+        return wanted === "" || normalize(mac).startsWith(wanted);
+    }
+
     // Function to ping a potential YouLess device
     async function pingYouLess(ip) {
         try {
             // First try to get the device model information from /d endpoint
             // This works for both LS110 and LS120
             let model = "Unknown";
+            let profile = null;
             let mac = "";
             let isYouLess = false;
             
@@ -67,6 +194,12 @@ module.exports = function(RED) {
                     if (deviceInfo.mac) {
                         mac = deviceInfo.mac;
                     }
+                    
+                    // Profile of the model registry matching this device
+                    const found = findModelProfile(deviceInfo);
+                    if (found) {
+                        profile = found.id;
+                    }
                 }
             } catch (modelError) {
                 // Couldn't get model info, continue with other checks
@@ -89,6 +222,7 @@ module.exports = function(RED) {
                         if (data.cnt !== undefined && data.pwr !== undefined) {
                             isYouLess = true;
                             model = "LS110"; // If /a?f=j works, it's likely an LS110
+                            profile = "LS110";
                         }
                     }
                 } catch (ls110Error) {
@@ -112,6 +246,7 @@ module.exports = function(RED) {
                                 (ls120Response.data[0].pwr !== undefined || ls120Response.data[0].net !== undefined)) {
                                 isYouLess = true;
                                 model = "LS120"; // If /e?f=j works, it's likely an LS120
+                                profile = "LS120";
                             }
                         }
                     } catch (ls120Error) {
@@ -137,6 +272,7 @@ module.exports = function(RED) {
                     ip: ip,
                     name: name,
                     model: model,
+                    profile: profile,
                     mac: mac
                 };
             }
@@ -148,30 +284,74 @@ module.exports = function(RED) {
         }
     }
 
-    // Main YouLess discovery function
-    async function discoverYouLess() {
-        const networks = getLocalNetworks();
-        const devices = [];
-        const scanPromises = [];
+    // Running and recently finished discovery scans by id
+    const discoveryJobs = new Map();
+    let nextDiscoveryId = 1;
+
+    // Start a discovery scan in the background. The returned job reports
+    // progress while the scan runs and can be cancelled.
+    function startDiscovery(options) {
+        const addresses = parseScanTargets(options.range);
+        const concurrency = Math.max(1, Math.min(parseInt(options.concurrency) || DEFAULT_SCAN_CONCURRENCY, 128));
+        const macPrefix = options.macPrefix === "*" ? "" : (options.macPrefix || YOULESS_MAC_PREFIX);
+        
+        const job = {
+            id: String(nextDiscoveryId++),
+            total: addresses.length,
+            scanned: 0,
+            devices: [],
+            done: false,
+            cancelled: false
+        };
+        discoveryJobs.set(job.id, job);
         
-        // Scan each network
-        for (const network of networks) {
-            // Scan range of IPs (1-254 for typical home networks)
-            for (let i = 1; i <= 254; i++) {
-                const ip = `${network.base}.${i}`;
-                scanPromises.push(
-                    pingYouLess(ip).then(result => {
-                        if (result) {
-                            devices.push(result);
+        const arpTable = macPrefix ? readArpTable() : {};
+        let next = 0;
+        
+        // Each worker probes one address at a time until none are left
+        async function worker() {
+            while (next < addresses.length && !job.cancelled) {
+                const ip = addresses[next++];
+                
+                // Skip addresses the OS already knows to belong to another vendor
+                if (!arpTable[ip] || macMatchesPrefix(arpTable[ip], macPrefix)) {
+                    const result = await pingYouLess(ip);
+                    if (result) {
+                        result.mac = result.mac || arpTable[ip] || "";
+                        // A meter that answered without a known MAC can't be ruled out
+                        if (!result.mac || macMatchesPrefix(result.mac, macPrefix)) {
+                            job.devices.push(result);
                         }
-                    })
-                );
+                    }
+                }
+                job.scanned++;
             }
         }
         
-        // Wait for all scans to complete
-        await Promise.all(scanPromises);
-        return devices;
+        const workers = [];
+        for (let i = 0; i < Math.min(concurrency, addresses.length); i++) {
+            workers.push(worker());
+        }
+        job.promise = Promise.all(workers).then(() => {
+            job.done = true;
+            // Keep the result around for a while for the editor to collect
+            setTimeout(() => discoveryJobs.delete(job.id), 10 * 60 * 1000).unref();
+            return job.devices;
+        });
+        
+        return job;
+    }
+
+    // Progress of a discovery job as sent to the editor
+    function describeDiscovery(job) {
+        return {
+            id: job.id,
+            total: job.total,
+            scanned: job.scanned,
+            devices: job.devices,
+            done: job.done,
+            cancelled: job.cancelled
+        };
     }
 
     // Helper function to round numbers to specified decimal places
@@ -223,382 +403,3367 @@ module.exports = function(RED) {
         return isNaN(num) ? str : num;
     }
 
-    function YoulessNode(config) {
-        RED.nodes.createNode(this, config);
-        const node = this;
+    // History logs kept by the meter. Each log is read page by page through a
+    // query parameter; the page ranges follow the YouLess firmware.
+    //   minute    - per-minute values, one page per hour
+    //   tenminute - per-10-minute values, one page per 8 hours
+    //   hour      - hourly values, one page per day (0 is today)
+    //   day       - daily values, one page per month (the month number)
+    const HISTORY_LOGS = {
+        minute: { param: "h", minPage: 1, maxPage: 20 },
+        tenminute: { param: "w", minPage: 1, maxPage: 3 },
+        hour: { param: "d", minPage: 0, maxPage: 69 },
+        day: { param: "m", minPage: 1, maxPage: 12 }
+    };
+
+    // History endpoints per channel
+    const HISTORY_CHANNELS = {
+        power: "V",
+        gas: "W",
+        s0: "K"
+    };
+
+    // Units as reported by the meter, mapped to the units used in our payloads
+    const HISTORY_UNITS = {
+        watt: "W",
+        w: "W",
+        kwh: "kWh",
+        wh: "Wh",
+        m3: "m³",
+        liter: "L",
+        l: "L"
+    };
+
+    // Validate a history request from msg.payload and fill in defaults
+    function parseHistoryRequest(request) {
+        const log = HISTORY_LOGS[request.history];
+        if (!log) {
+            throw new Error(`Unknown history log "${request.history}", expected one of: ${Object.keys(HISTORY_LOGS).join(", ")}`);
+        }
+
+        const channel = request.channel || "power";
+        if (!HISTORY_CHANNELS[channel]) {
+            throw new Error(`Unknown history channel "${channel}", expected one of: ${Object.keys(HISTORY_CHANNELS).join(", ")}`);
+        }
+
+        const page = request.page === undefined ? log.minPage : parseInt(request.page);
+        if (isNaN(page) || page < log.minPage || page > log.maxPage) {
+            throw new Error(`History page for "${request.history}" must be between ${log.minPage} and ${log.maxPage}`);
+        }
+
+        return {
+            log: request.history,
+            channel: channel,
+            page: page,
+            path: `/${HISTORY_CHANNELS[channel]}?${log.param}=${page}&f=j`
+        };
+    }
+
+    // Finest history log that reaches back far enough to fill a gap: the
+    // minute log keeps about 20 hours, the 10-minute log a day and the hour
+    // log 70 days
+    function chooseBackfillLog(gap) {
+        if (gap <= 19 * 3600000) return "minute";
+        if (gap <= 23 * 3600000) return "tenminute";
+        return "hour";
+    }
+
+    // The meter reports "tm" as local time without an offset ("2023-10-19T14:00:00")
+    function parseLocalTime(str) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/.exec(String(str).trim());
+        if (!match) return null;
+        return new Date(
+            parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]),
+            parseInt(match[4]), parseInt(match[5]), parseInt(match[6] || "0")
+        );
+    }
+
+    // Timestamps in the live data (ts0, gts, wts, pts) are either unix seconds
+    // or local time as digits, YYMMDDhhmm or YYMMDDhhmmss. Ten digits can be
+    // both; the reading closest to now is taken then.
+    function parseDeviceTimestamp(value) {
+        const digits = String(value === undefined || value === null ? "" : value).trim();
+        if (!/^\d+$/.test(digits) || parseInt(digits, 10) === 0) return null;
         
-        // Store configuration
-        this.host = config.host;
-        this.interval = config.interval || 10;
-        this.name = config.name || "YouLess SE";
-        this.model = config.model || "LS110";
-        this.password = config.password || "";
-        this.startAutomatically = config.startAutomatically !== false; // Ensure proper boolean conversion
-        this.showNegativeCurrent = config.showNegativeCurrent || false;
-        this.customTopic = config.customTopic || "";
-        this.decimalPlaces = parseInt(config.decimalPlaces);
+        const candidates = [];
+        const match = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?$/.exec(digits);
+        if (match) {
+            const parts = match.slice(1, 6).map(part => parseInt(part, 10));
+            const seconds = parseInt(match[6] || "0", 10);
+            if (parts[1] >= 1 && parts[1] <= 12 && parts[2] >= 1 && parts[2] <= 31 &&
+                parts[3] < 24 && parts[4] < 60 && seconds < 60) {
+                candidates.push(new Date(2000 + parts[0], parts[1] - 1, parts[2], parts[3], parts[4], seconds));
+            }
+        }
+        if (digits.length <= 10) {
+            candidates.push(new Date(parseInt(digits, 10) * 1000));
+        }
         
-        // Validate decimal places
-        if (isNaN(this.decimalPlaces) || this.decimalPlaces < 0) {
-            this.decimalPlaces = -1; // Disabled (don't round)
+        const now = Date.now();
+        candidates.sort((a, b) => Math.abs(a.getTime() - now) - Math.abs(b.getTime() - now));
+        return candidates.length > 0 ? candidates[0] : null;
+    }
+
+    function formatDeviceTimestamp(value) {
+        const date = parseDeviceTimestamp(value);
+        return date ? date.toISOString() : null;
+    }
+
+    // Normalize a history page ({un, tm, dt, val}) into [{timestamp, value, unit}]
+    function parseHistoryResponse(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || !Array.isArray(data.val)) {
+            throw new Error("Unexpected history response from device");
+        }
+
+        const start = parseLocalTime(data.tm);
+        if (!start) {
+            throw new Error(`Unexpected history start time: ${data.tm}`);
+        }
+
+        const step = parseInt(data.dt) || 0;
+        const unitKey = String(data.un || "").trim().toLowerCase();
+        const unit = HISTORY_UNITS[unitKey] || data.un || null;
+        const points = [];
+
+        data.val.forEach((raw, index) => {
+            // Empty slots ("", "*" or null) are periods the meter has no value for yet
+            const value = parseNumericString(raw);
+            if (typeof value !== 'number') return;
+
+            points.push({
+                timestamp: new Date(start.getTime() + index * step * 1000).toISOString(),
+                value: value,
+                unit: unit
+            });
+        });
+
+        return points;
+    }
+
+    // CRC16 of a DSMR P1 telegram (CRC-16/ARC, polynomial 0xA001), computed
+    // over everything from the leading "/" up to and including the "!"
+    function crc16(text) {
+        let crc = 0;
+        for (const byte of Buffer.from(text, 'latin1')) {
+            crc ^= byte;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 1 ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+            }
+        }
+        return crc;
+    }
+
+    // Known OBIS codes of a P1 telegram and where they go in the result.
+    // Types: "kWh"/"V"/"A"/"count" are numbers, "kW" is converted to W,
+    // "hex" is hex-encoded text, "time" a DSMR timestamp, "text" as is.
+    const P1_FIELDS = [
+        ["1-3:0.2.8", "version", "text"],
+        ["0-0:1.0.0", "timestamp", "time"],
+        ["0-0:96.1.1", "equipmentId", "hex"],
+        ["1-0:1.8.1", "delivered.tariff1", "kWh"],
+        ["1-0:1.8.2", "delivered.tariff2", "kWh"],
+        ["1-0:2.8.1", "returned.tariff1", "kWh"],
+        ["1-0:2.8.2", "returned.tariff2", "kWh"],
+        ["0-0:96.14.0", "tariff", "count"],
+        ["1-0:1.7.0", "power.delivered", "kW"],
+        ["1-0:2.7.0", "power.returned", "kW"],
+        ["0-0:96.7.21", "powerFailures.count", "count"],
+        ["0-0:96.7.9", "powerFailures.longCount", "count"],
+        ["0-0:96.13.0", "message", "hex"]
+    ];
+
+    // Per phase: voltage and current, import and export power, and the number
+    // of voltage sags and swells
+    const P1_PHASES = {
+        L1: {voltage: "32.7.0", current: "31.7.0", powerDelivered: "21.7.0", powerReturned: "22.7.0", sags: "32.32.0", swells: "32.36.0"},
+        L2: {voltage: "52.7.0", current: "51.7.0", powerDelivered: "41.7.0", powerReturned: "42.7.0", sags: "52.32.0", swells: "52.36.0"},
+        L3: {voltage: "72.7.0", current: "71.7.0", powerDelivered: "61.7.0", powerReturned: "62.7.0", sags: "72.32.0", swells: "72.36.0"}
+    };
+
+    // M-Bus device types (EN 13757-3)
+    const MBUS_TYPES = {3: "gas", 4: "heat", 7: "water", 12: "heat"};
+
+    // DSMR timestamps are YYMMDDhhmmss in Dutch local time, with S for
+    // summer time (UTC+2) or W for winter time (UTC+1)
+    function parseP1Time(value) {
+        const match = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})([SW]?)$/.exec(value || "");
+        if (!match) return null;
+        const parts = match.slice(1, 7).map(part => parseInt(part, 10));
+        if (!match[7]) {
+            return new Date(2000 + parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]).toISOString();
+        }
+        const offset = match[7] === "S" ? 2 : 1;
+        return new Date(Date.UTC(2000 + parts[0], parts[1] - 1, parts[2], parts[3] - offset, parts[4], parts[5])).toISOString();
+    }
+
+    function parseP1Value(value, type) {
+        if (value === undefined) return undefined;
+        if (type === "text") return value;
+        if (type === "time") return parseP1Time(value);
+        if (type === "hex") {
+            return /^([0-9a-fA-F]{2})*$/.test(value) ? Buffer.from(value, 'hex').toString('latin1') : value;
+        }
+        const number = parseFloat(value.split("*")[0]);
+        if (isNaN(number)) return null;
+        return type === "kW" ? roundToDecimalPlaces(number * 1000, 3) : number;
+    }
+
+    // Parse a DSMR P1 telegram into structured fields, keeping every OBIS
+    // value in obis. crc.valid is null for telegrams without a CRC (DSMR
+    // before 4.0), and false when the CRC doesn't match.
+    function parseP1Telegram(text) {
+        const start = String(text).indexOf("/");
+        const match = /!([0-9A-Fa-f]{4})?/.exec(String(text).slice(Math.max(start, 0)));
+        if (start === -1 || !match) {
+            throw new Error("Not a P1 telegram, expected /<header> ... !<crc>");
         }
+        const telegram = String(text).slice(start, start + match.index + 1);
         
-        // Status management
-        let intervalId = null;
-        let errorCount = 0;
-        const MAX_ERRORS = 10;
+        const obis = {};
+        const lines = telegram.split(/\r?\n/);
+        for (const line of lines.slice(1)) {
+            const field = /^(\d+-\d+:\d+\.\d+\.\d+)((?:\([^)]*\))+)/.exec(line.trim());
+            if (field) {
+                const values = field[2].slice(1, -1).split(")(");
+                obis[field[1]] = values.length === 1 ? values[0] : values;
+            }
+        }
         
-        // Set initial status
-        node.status({fill: "grey", shape: "dot", text: "not running"});
-
-        // Create request configuration
-        function createRequestConfig() {
-            let requestConfig = {
-                timeout: 10000, // 10 seconds timeout
-                headers: {
-                    'Accept': 'application/json'
+        const result = {
+            header: lines[0].slice(1).trim(),
+            crc: {
+                valid: match[1] ? crc16(telegram) === parseInt(match[1], 16) : null,
+                expected: match[1] ? match[1].toUpperCase() : null,
+                actual: crc16(telegram).toString(16).toUpperCase().padStart(4, "0")
+            }
+        };
+        
+        for (const [code, path, type] of P1_FIELDS) {
+            const value = parseP1Value(Array.isArray(obis[code]) ? obis[code][0] : obis[code], type);
+            if (value !== undefined) {
+                setPathValue(result, path.split("."), value);
+            }
+        }
+        for (const group of ["delivered", "returned"]) {
+            if (result[group]) {
+                result[group].total = roundToDecimalPlaces((result[group].tariff1 || 0) + (result[group].tariff2 || 0), 3);
+            }
+        }
+        
+        // Power failure log: (count)(0-0:96.7.19)(end)(duration*s)...
+        const failures = obis["1-0:99.97.0"];
+        if (Array.isArray(failures)) {
+            result.powerFailures = result.powerFailures || {};
+            result.powerFailures.log = [];
+            for (let index = 2; index + 1 < failures.length; index += 2) {
+                result.powerFailures.log.push({
+                    end: parseP1Time(failures[index]),
+                    duration: parseP1Value(failures[index + 1], "count") // Seconds
+                });
+            }
+        }
+        
+        for (const phase of Object.keys(P1_PHASES)) {
+            const values = {};
+            for (const name of Object.keys(P1_PHASES[phase])) {
+                const code = `1-0:${P1_PHASES[phase][name]}`;
+                if (obis[code] !== undefined) {
+                    values[name] = parseP1Value(obis[code], /^power/.test(name) ? "kW" : "count");
                 }
-            };
-            
-            if (node.password) {
-                const auth = Buffer.from(`:${node.password}`).toString('base64');
-                requestConfig.headers['Authorization'] = `Basic ${auth}`;
             }
+            if (Object.keys(values).length > 0) {
+                result.phases = result.phases || {};
+                result.phases[phase] = values;
+            }
+        }
+        
+        // M-Bus devices (gas, water, heat) on channels 1 to 4
+        for (let channel = 1; channel <= 4; channel++) {
+            const type = obis[`0-${channel}:24.1.0`];
+            const reading = obis[`0-${channel}:24.2.1`] || obis[`0-${channel}:24.2.3`];
+            if (type === undefined && reading === undefined) continue;
             
-            return requestConfig;
+            const device = {
+                channel: channel,
+                type: MBUS_TYPES[parseInt(type, 10)] || (type !== undefined ? parseInt(type, 10) : null),
+                equipmentId: parseP1Value(obis[`0-${channel}:96.1.0`], "hex") || null
+            };
+            if (Array.isArray(reading)) {
+                const [value, unit] = reading[1].split("*");
+                device.timestamp = parseP1Time(reading[0]);
+                device.value = parseFloat(value);
+                device.unit = unit || null;
+            }
+            result.mbus = result.mbus || [];
+            result.mbus.push(device);
         }
+        
+        result.obis = obis;
+        return result;
+    }
 
-        // Function to fetch data from LS110 model
-        async function fetchLS110Data() {
-            const baseUrl = `http://${node.host}`;
-            let meterData = {
-                timestamp: new Date().toISOString(),
-                model: "LS110"
-            };
-            
-            // Fetch main energy data from the LS110 JSON endpoint
-            const response = await axios.get(`${baseUrl}/a?f=j`, createRequestConfig());
-            
-            node.log(`Raw LS110 data: ${JSON.stringify(response.data)}`);
-            
-            // Process LS110 data
-            const data = response.data;
-            
-            // Extract electricity values
-            meterData.power = data.pwr;
-            meterData.isGenerating = data.pwr < 0;
-            meterData.powerAbsolute = Math.abs(data.pwr);
-            
-            // Counter value (parse string with potential comma)
-            meterData.counter = parseNumericString(data.cnt);
-            
-            // Signal level
-            if (data.lvl !== undefined) {
-                meterData.signalLevel = data.lvl;
+    // Cumulative registers used for energy accounting, with the largest
+    // increase per hour we accept before treating a jump as a meter swap
+    const ENERGY_REGISTERS = {
+        import: 50,  // kWh
+        export: 50,  // kWh
+        gas: 20,     // m³
+        water: 6,    // m³
+        pv: 50,      // kWh, S0 counter of a PV inverter
+        s0: 50       // kWh, S0 counter of a consumer
+    };
+
+    // Read the accounting registers from a reading. The S0 counter is
+    // counted as "pv" or "s0" depending on what it measures.
+    function getEnergyRegisters(meterData, s0Role) {
+        const registers = {};
+        
+        if (meterData.delivered) {
+            registers.import = meterData.delivered.total;
+        } else {
+            registers.import = meterData.counter; // LS110
+        }
+        if (meterData.returned) registers.export = meterData.returned.total;
+        if (meterData.gas) registers.gas = meterData.gas.counter;
+        if (meterData.water) registers.water = meterData.water.counter;
+        if (meterData.s0 && s0Role === "production") registers.pv = meterData.s0.counter;
+        if (meterData.s0 && s0Role === "consumption") registers.s0 = meterData.s0.counter;
+        
+        for (const name of Object.keys(registers)) {
+            if (typeof registers[name] !== 'number' || !Number.isFinite(registers[name])) {
+                delete registers[name];
             }
-            
-            // Additional fields if they exist
-            if (data.dev) meterData.device = data.dev;
-            if (data.det) meterData.details = data.det;
-            if (data.con) meterData.connection = data.con;
-            if (data.sts) meterData.status = data.sts;
-            if (data.raw) meterData.rawValue = data.raw;
-            
-            return meterData;
         }
+        return registers;
+    }
 
-        // Function to fetch data from LS120 model
-        async function fetchLS120Data() {
-            const baseUrl = `http://${node.host}`;
-            let meterData = {
-                timestamp: new Date().toISOString(),
-                model: "LS120"
+    function getRatio(part, total) {
+        return total > 0 ? roundToDecimalPlaces(Math.min(part / total, 1) * 100, 1) : null;
+    }
+
+    // Household consumption from the grid and the S0 meter. With the PV
+    // inverter on S0 (production) the house uses PV + import - export, and
+    // the PV energy that isn't exported is consumed in the house. A consumer
+    // on S0 (consumption) is part of what the grid delivers. Ratios are
+    // percentages, null when there is nothing to divide by.
+    function getHouseholdBalance(role, gridPower, s0Power, today) {
+        if (role === "production") {
+            const production = Math.max(s0Power, 0);
+            const consumption = Math.max(production + gridPower, 0);
+            const selfConsumed = Math.min(Math.max(production - Math.max(-gridPower, 0), 0), consumption);
+            const balance = {
+                power: consumption,
+                production: production,
+                selfConsumed: selfConsumed,
+                selfSufficiency: getRatio(selfConsumed, consumption),
+                selfConsumption: getRatio(selfConsumed, production)
             };
             
-            // Fetch main energy data from the LS120 JSON endpoint
-            const energyResponse = await axios.get(`${baseUrl}/e?f=j`, createRequestConfig());
-            
-            node.log(`Raw LS120 energy data: ${JSON.stringify(energyResponse.data)}`);
-            
-            // Process LS120 energy data
-            if (energyResponse.data && Array.isArray(energyResponse.data) && energyResponse.data.length > 0) {
-                const data = energyResponse.data[0];
-                
-                // Extract main electricity values
-                meterData.power = data.pwr;
-                meterData.isGenerating = data.pwr < 0;
-                meterData.powerAbsolute = Math.abs(data.pwr);
-                
-                // Total meter values
-                meterData.net = data.net;  // Net meter reading (can be negative if generating more than consuming)
-                
-                // P1/P2 are delivery (consumption) meters, N1/N2 are return (generation) meters
-                meterData.delivered = {
-                    total: (data.p1 || 0) + (data.p2 || 0),
-                    tariff1: data.p1 || 0,
-                    tariff2: data.p2 || 0
+            if (today) {
+                const pv = today.pv || 0;
+                const used = Math.max(pv + (today.import || 0) - (today.export || 0), 0);
+                const selfUsed = Math.min(Math.max(pv - (today.export || 0), 0), used);
+                balance.today = {
+                    consumption: roundToDecimalPlaces(used, 6),
+                    production: pv,
+                    selfConsumed: roundToDecimalPlaces(selfUsed, 6),
+                    selfSufficiency: getRatio(selfUsed, used),
+                    selfConsumption: getRatio(selfUsed, pv)
                 };
-                
-                meterData.returned = {
-                    total: (data.n1 || 0) + (data.n2 || 0),
-                    tariff1: data.n1 || 0,
-                    tariff2: data.n2 || 0
-                };
-                
-                // S0 pulse counter
-                if (data.cs0 !== undefined) {
-                    meterData.s0 = {
-                        counter: data.cs0,
-                        power: data.ps0 || 0,
-                        timestamp: data.ts0 ? new Date(data.ts0 * 1000).toISOString() : null
-                    };
-                }
-                
-                // Gas meter
-                if (data.gas !== undefined) {
-                    meterData.gas = {
-                        counter: data.gas,
-                        timestamp: data.gts ? new Date(data.gts * 1000).toISOString() : null
-                    };
-                }
-                
-                // Water meter
-                if (data.wtr !== undefined) {
-                    meterData.water = {
-                        counter: data.wtr,
-                        timestamp: data.wts ? new Date(data.wts * 1000).toISOString() : null
-                    };
-                }
-                
-                // Try to get phase information
-                try {
-                    const phaseResponse = await axios.get(`${baseUrl}/f?f=j`, createRequestConfig());
-                    
-                    node.log(`Raw phase data: ${JSON.stringify(phaseResponse.data)}`);
-                    
-                    if (phaseResponse.data) {
-                        const phaseData = phaseResponse.data;
-                        
-                        // Calculate phase values, potentially making currents negative
-                        const processPhaseValue = (current, voltage, power) => {
-                            let processedCurrent = current || 0;
-                            // If showNegativeCurrent is enabled and power is negative, make current negative too
-                            if (node.showNegativeCurrent && power < 0 && processedCurrent > 0) {
-                                processedCurrent = -processedCurrent;
-                            }
-                            return {
-                                current: processedCurrent,
-                                voltage: voltage || 0,
-                                power: power || 0
-                            };
-                        };
-                        
-                        meterData.phases = {
-                            L1: processPhaseValue(phaseData.i1, phaseData.v1, phaseData.l1),
-                            L2: processPhaseValue(phaseData.i2, phaseData.v2, phaseData.l2),
-                            L3: processPhaseValue(phaseData.i3, phaseData.v3, phaseData.l3)
-                        };
-                        
-                        // Additional values
-                        if (phaseData.tr !== undefined) meterData.tariff = phaseData.tr;
-                        if (phaseData.pa !== undefined) meterData.activePower = phaseData.pa;
-                        if (phaseData.pp !== undefined) meterData.peakPower = phaseData.pp;
-                        if (phaseData.pts !== undefined) meterData.peakTimestamp = new Date(phaseData.pts * 1000).toISOString();
-                    }
-                } catch (phaseError) {
-                    node.warn(`Error getting phase data: ${phaseError.message}`);
-                }
             }
-            
-            return meterData;
+            return balance;
+        }
+        
+        const balance = {
+            power: gridPower,
+            s0: s0Power,
+            other: gridPower - s0Power
+        };
+        if (today) {
+            const used = (today.import || 0) - (today.export || 0);
+            balance.today = {
+                consumption: roundToDecimalPlaces(used, 6),
+                s0: today.s0 || 0,
+                other: roundToDecimalPlaces(used - (today.s0 || 0), 6)
+            };
         }
+        return balance;
+    }
 
-        // Detect the actual model if not sure
-        async function detectModel() {
-            try {
-                // Try to get model information from /d endpoint
-                const modelResponse = await axios.get(`http://${node.host}/d`, createRequestConfig());
+    // Day and month keys in the server's local timezone
+    function getDayKey(date) {
+        return `${getMonthKey(date)}-${String(date.getDate()).padStart(2, "0")}`;
+    }
+
+    function getMonthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+    }
+
+    // Add the increase of every register since the previous reading to the
+    // totals of today and this month. The accounting state is updated in
+    // place so it can be saved to context storage.
+    function updateEnergyAccounting(accounting, registers, now, warn) {
+        const day = getDayKey(now);
+        const month = getMonthKey(now);
+        
+        if (accounting.day !== day) {
+            accounting.day = day;
+            accounting.today = {};
+        }
+        if (accounting.month !== month) {
+            accounting.month = month;
+            accounting.monthTotals = {};
+        }
+        accounting.registers = accounting.registers || {};
+        
+        const interval = {};
+        for (const name of Object.keys(registers)) {
+            const value = registers[name];
+            const previous = accounting.registers[name];
+            let delta = 0;
+            
+            if (previous) {
+                delta = value - previous.value;
+                const hours = (now.getTime() - previous.changed) / 3600000;
                 
-                if (modelResponse.data) {
-                    // Parse JSON if it's a string
-                    let deviceInfo = modelResponse.data;
-                    if (typeof deviceInfo === 'string') {
-                        try {
-                            deviceInfo = JSON.parse(deviceInfo);
-                        } catch (e) {
-                            // If it fails to parse, just use the configured model
-                            return node.model;
-                        }
-                    }
-                    
-                    // Return detected model if available
-                    if (deviceInfo.model) {
-                        return deviceInfo.model;
-                    }
+                // A counter going backwards or jumping further than the meter can
+                // measure in the time since its last change is a reset or a new
+                // meter. Start counting again from the new value.
+                if (delta < 0 || delta > ENERGY_REGISTERS[name] * Math.max(hours, 1 / 60)) {
+                    warn(`${name} counter changed from ${previous.value} to ${value}, treating it as a counter reset`);
+                    delta = 0;
                 }
-            } catch (error) {
-                // If we can't detect the model, fall back to the configured model
-                node.warn(`Couldn't detect model: ${error.message}, using configured model: ${node.model}`);
-            }
-            
-            return node.model;
-        }
-
-        // Function to validate required configuration
-        function validateConfig() {
-            // Check for required host
-            if (!node.host || node.host.trim() === "") {
-                node.error("Host/IP address is required but not configured");
-                node.status({fill: "red", shape: "dot", text: "missing host configuration"});
-                return false;
             }
             
-            // Check for required model
-            if (!node.model || !["LS110", "LS120"].includes(node.model)) {
-                node.error("Valid model (LS110/LS120) is required but not configured");
-                node.status({fill: "red", shape: "dot", text: "missing model configuration"});
-                return false;
+            if (!previous || value !== previous.value) {
+                accounting.registers[name] = {value: value, changed: now.getTime()};
             }
             
-            // Check interval is valid
-            if (isNaN(node.interval) || node.interval < 1) {
-                node.warn("Invalid interval, using default of 10 seconds");
-                node.interval = 10;
+            interval[name] = roundToDecimalPlaces(delta, 6);
+            accounting.today[name] = roundToDecimalPlaces((accounting.today[name] || 0) + delta, 6);
+            accounting.monthTotals[name] = roundToDecimalPlaces((accounting.monthTotals[name] || 0) + delta, 6);
+        }
+        
+        return {
+            interval: interval,
+            today: Object.assign({}, accounting.today),
+            month: Object.assign({}, accounting.monthTotals)
+        };
+    }
+
+    // Read the price settings of a youless-se node. Prices are per kWh or m³,
+    // standing charges per day.
+    function getPricing(config) {
+        const price = value => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? 0 : parsed;
+        };
+        
+        return {
+            import: [price(config.priceImport1), price(config.priceImport2)],
+            export: [price(config.priceExport1), price(config.priceExport2)],
+            gas: price(config.priceGas),
+            water: price(config.priceWater),
+            standing: price(config.standingElectricity) + price(config.standingGas) + price(config.standingWater)
+        };
+    }
+
+    // Validate dynamic prices from msg.payload.prices: [{start, import, export}]
+    function parseDynamicPrices(prices) {
+        if (!Array.isArray(prices)) {
+            throw new Error("prices must be an array of {start, import, export}");
+        }
+        
+        return prices.map(entry => {
+            const start = new Date(entry.start);
+            if (isNaN(start.getTime()) || typeof entry.import !== 'number') {
+                throw new Error(`Invalid price entry: ${JSON.stringify(entry)}`);
             }
-            
-            return true;
+            return {
+                start: start.getTime(),
+                import: entry.import,
+                export: typeof entry.export === 'number' ? entry.export : entry.import
+            };
+        }).sort((a, b) => a.start - b.start);
+    }
+
+    // Dynamic price for a moment in time. A price is valid until the next
+    // entry starts, for at most an hour.
+    function findDynamicPrice(prices, time) {
+        let found = null;
+        for (const entry of prices || []) {
+            if (entry.start > time) break;
+            found = entry;
         }
+        if (found && time - found.start < 3600000) {
+            return found;
+        }
+        return null;
+    }
 
-        // Fetch data from YouLess meter
-        async function fetchData() {
-            try {
-                // Validate configuration first
-                if (!validateConfig()) {
-                    stopPolling();
-                    return;
-                }
-                
-                // First detect or confirm the model
-                const detectedModel = await detectModel();
-                let meterData;
+    // Add the cost of the energy used in the last interval to the running
+    // totals of today and this month. Standing charges are added once a day.
+    function updateEnergyCost(cost, interval, tariff, now, pricing) {
+        const day = getDayKey(now);
+        const month = getMonthKey(now);
+        
+        if (cost.month !== month) {
+            cost.month = month;
+            cost.monthTotals = {};
+        }
+        if (cost.day !== day) {
+            cost.day = day;
+            cost.today = {standing: pricing.standing};
+            cost.monthTotals.standing = (cost.monthTotals.standing || 0) + pricing.standing;
+        }
+        
+        // Meter tariff 2 is the normal/high tariff, anything else uses tariff 1
+        const tariffIndex = tariff === 2 ? 1 : 0;
+        const dynamicPrice = findDynamicPrice(cost.prices, now.getTime());
+        const prices = {
+            import: dynamicPrice ? dynamicPrice.import : pricing.import[tariffIndex],
+            export: dynamicPrice ? dynamicPrice.export : pricing.export[tariffIndex],
+            gas: pricing.gas,
+            water: pricing.water
+        };
+        
+        const intervalCost = {};
+        for (const name of Object.keys(prices)) {
+            if (interval[name] === undefined) continue;
+            const amount = interval[name] * prices[name];
+            intervalCost[name] = roundToDecimalPlaces(amount, 6);
+            cost.today[name] = roundToDecimalPlaces((cost.today[name] || 0) + amount, 6);
+            cost.monthTotals[name] = roundToDecimalPlaces((cost.monthTotals[name] || 0) + amount, 6);
+        }
+        
+        // Export is a compensation and lowers the total
+        const total = totals => roundToDecimalPlaces(
+            (totals.import || 0) + (totals.gas || 0) + (totals.water || 0) + (totals.standing || 0) - (totals.export || 0), 6);
+        
+        intervalCost.total = total(intervalCost);
+        
+        return {
+            currency: "EUR",
+            prices: prices,
+            interval: intervalCost,
+            today: Object.assign({}, cost.today, {total: total(cost.today)}),
+            month: Object.assign({}, cost.monthTotals, {total: total(cost.monthTotals)})
+        };
+    }
+
+    const QUARTER = 15 * 60 * 1000;
+
+    // Track the average import power per quarter hour, as used for capacity
+    // tariffs. The average comes from the import counter; the counter value at
+    // a quarter boundary is interpolated between the readings around it. Only
+    // quarters seen from their start count for the month's peak.
+    function updateQuarterPeak(peak, importCounter, power, now) {
+        const time = now.getTime();
+        const quarterStart = Math.floor(time / QUARTER) * QUARTER;
+        const month = getMonthKey(now);
+        let completed = null;
+        
+        if (peak.month !== month) {
+            peak.month = month;
+            peak.monthPeak = null;
+        }
+        
+        if (peak.quarterStart !== quarterStart) {
+            const boundary = quarterStart;
+            const previousQuarter = quarterStart - QUARTER;
+            let boundaryCounter = null;
+            
+            // Counter at the boundary, if the last reading was in the previous quarter
+            if (peak.lastTime >= previousQuarter && peak.lastTime < boundary && time > peak.lastTime) {
+                boundaryCounter = peak.lastCounter +
+                    (importCounter - peak.lastCounter) * (boundary - peak.lastTime) / (time - peak.lastTime);
+            }
+            
+            if (boundaryCounter !== null && peak.quarterStart === previousQuarter && peak.startTime === previousQuarter) {
+                completed = {
+                    start: new Date(previousQuarter).toISOString(),
+                    average: roundToDecimalPlaces((boundaryCounter - peak.startCounter) * 1000 / 0.25, 1)
+                };
+                if (getMonthKey(new Date(previousQuarter)) === month &&
+                    (!peak.monthPeak || completed.average > peak.monthPeak.power)) {
+                    peak.monthPeak = {power: completed.average, start: completed.start};
+                }
+            }
+            
+            peak.quarterStart = quarterStart;
+            peak.startTime = boundaryCounter !== null ? boundary : time;
+            peak.startCounter = boundaryCounter !== null ? boundaryCounter : importCounter;
+            peak.warned = false;
+        }
+        
+        peak.lastTime = time;
+        peak.lastCounter = importCounter;
+        
+        // Average so far, and projected for the whole quarter if the current
+        // import power holds until its end
+        const elapsed = (time - peak.startTime) / 3600000;
+        const remaining = (quarterStart + QUARTER - time) / 3600000;
+        const energy = (importCounter - peak.startCounter) * 1000; // Wh
+        const average = elapsed > 0 ? energy / elapsed : Math.max(power, 0);
+        const projected = (energy + Math.max(power, 0) * remaining) / (elapsed + remaining);
+        
+        return {
+            quarter: {
+                start: new Date(quarterStart).toISOString(),
+                average: roundToDecimalPlaces(average, 1),
+                projected: roundToDecimalPlaces(projected, 1),
+                complete: peak.startTime === quarterStart
+            },
+            previousQuarter: completed,
+            month: peak.monthPeak ? Object.assign({}, peak.monthPeak) : null
+        };
+    }
+
+    // EN 50160 limits for the supply voltage: 230 V ±10%
+    const VOLTAGE_MIN = 207;
+    const VOLTAGE_MAX = 253;
+
+    // Alarm limits from the node configuration; 0 switches a check off
+    function getGridLimits(config) {
+        const limit = (value, fallback) => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? fallback : parsed;
+        };
+        
+        return {
+            voltageMin: limit(config.voltageMin, VOLTAGE_MIN),
+            voltageMax: limit(config.voltageMax, VOLTAGE_MAX),
+            voltageAverage: limit(config.voltageAverage, 10), // Minutes per mean voltage, 0 = every reading
+            fuseRating: limit(config.fuseRating, 0), // A
+            imbalance: limit(config.imbalanceLimit, 0), // A between the highest and lowest phase
+            exportLimit: limit(config.exportLimit, 0), // W
+            exportDelay: limit(config.exportDelay, 5) // Minutes above the export limit
+        };
+    }
+
+    function alarmEvent(event, alarm, value, now) {
+        const start = new Date(alarm.since);
+        return {
+            event: event,
+            alarm: alarm.alarm,
+            phase: alarm.phase,
+            severity: alarm.severity,
+            value: value,
+            peak: alarm.peak,
+            limit: alarm.limit,
+            unit: alarm.unit,
+            start: start.toISOString(),
+            end: event === "alarm-end" ? now.toISOString() : null,
+            duration: Math.round((now.getTime() - alarm.since) / 1000),
+            timestamp: now.toISOString()
+        };
+    }
+
+    // Check one alarm condition. The alarm starts when the value has been
+    // beyond its limit for the delay, and ends when it is back within the
+    // limit by 1%, so a value hovering around the limit doesn't flap.
+    // Exceeding the limit by more than 5% makes the alarm critical.
+    function checkAlarm(alarms, check, now, events) {
+        const time = now.getTime();
+        const above = check.direction === "above";
+        const excess = above ? check.value - check.limit : check.limit - check.value;
+        let alarm = alarms[check.id];
+        
+        if (excess > 0) {
+            if (!alarm) {
+                alarm = alarms[check.id] = {
+                    alarm: check.alarm,
+                    phase: check.phase || null,
+                    limit: check.limit,
+                    unit: check.unit,
+                    since: time,
+                    active: false,
+                    peak: check.value,
+                    severity: "warning"
+                };
+            }
+            alarm.peak = above ? Math.max(alarm.peak, check.value) : Math.min(alarm.peak, check.value);
+            if (excess > Math.abs(check.limit) * 0.05) {
+                alarm.severity = "critical";
+            }
+            if (!alarm.active && time - alarm.since >= (check.delay || 0)) {
+                alarm.active = true;
+                events.push(alarmEvent("alarm-start", alarm, check.value, now));
+            }
+        } else if (alarm && (!alarm.active || excess < -Math.abs(check.limit) * 0.01)) {
+            if (alarm.active) {
+                events.push(alarmEvent("alarm-end", alarm, check.value, now));
+            }
+            delete alarms[check.id];
+        }
+    }
+
+    // Mean voltage of a phase over fixed blocks of minutes, as EN 50160 sets
+    // its limits for 10-minute means. Returns the mean of the previous block
+    // and the time it ended at the first reading of a new block, else null.
+    function updateVoltageMean(grid, phase, voltage, now, minutes) {
+        const length = minutes * 60000;
+        const block = Math.floor(now.getTime() / length);
+        grid.means = grid.means || {};
+        
+        let ended = null;
+        const current = grid.means[phase];
+        if (current && current.block !== block) {
+            ended = {
+                value: roundToDecimalPlaces(current.sum / current.count, 1),
+                time: new Date((current.block + 1) * length)
+            };
+        }
+        if (!current || current.block !== block) {
+            grid.means[phase] = {block: block, sum: 0, count: 0};
+        }
+        grid.means[phase].sum += voltage;
+        grid.means[phase].count++;
+        return ended;
+    }
+
+    // Check the phase values and export power against the limits, and keep
+    // the lowest and highest voltage per phase for the day. Returns the
+    // alarm events and a summary for the payload. A summary of the voltages
+    // of the previous day is added to the events at the first reading of a day.
+    function updateGridAlarms(grid, meterData, limits, now) {
+        const events = [];
+        const checks = [];
+        const phases = meterData.phases || {};
+        const names = Object.keys(phases);
+        grid.alarms = grid.alarms || {};
+        
+        names.forEach(phase => {
+            const voltage = phases[phase].voltage;
+            const current = Math.abs(phases[phase].current);
+            
+            // A voltage of 0 means the meter doesn't report this phase.
+            // Voltages are checked per mean over the averaging time.
+            let mean = null;
+            if (voltage > 0) {
+                mean = limits.voltageAverage > 0 ? updateVoltageMean(grid, phase, voltage, now, limits.voltageAverage) :
+                    {value: voltage, time: now};
+            }
+            if (mean) {
+                if (limits.voltageMax > 0) {
+                    checks.push({id: `overvoltage:${phase}`, alarm: "overvoltage", phase: phase, value: mean.value,
+                        limit: limits.voltageMax, unit: "V", direction: "above", time: mean.time});
+                }
+                if (limits.voltageMin > 0) {
+                    checks.push({id: `undervoltage:${phase}`, alarm: "undervoltage", phase: phase, value: mean.value,
+                        limit: limits.voltageMin, unit: "V", direction: "below", time: mean.time});
+                }
+            }
+            if (limits.fuseRating > 0) {
+                checks.push({id: `overcurrent:${phase}`, alarm: "overcurrent", phase: phase, value: current,
+                    limit: limits.fuseRating, unit: "A", direction: "above"});
+            }
+        });
+        
+        if (limits.imbalance > 0 && names.length > 1) {
+            const currents = names.map(phase => Math.abs(phases[phase].current));
+            checks.push({id: "imbalance", alarm: "imbalance", value: roundToDecimalPlaces(Math.max(...currents) - Math.min(...currents), 2),
+                limit: limits.imbalance, unit: "A", direction: "above"});
+        }
+        
+        if (limits.exportLimit > 0 && typeof meterData.power === 'number') {
+            checks.push({id: "export", alarm: "export", value: Math.max(-meterData.power, 0),
+                limit: limits.exportLimit, unit: "W", direction: "above", delay: limits.exportDelay * 60000});
+        }
+        
+        checks.forEach(check => checkAlarm(grid.alarms, check, check.time || now, events));
+        
+        // Daily voltage statistics, as evidence for the grid operator
+        const day = getDayKey(now);
+        if (grid.voltage && grid.voltage.day !== day) {
+            events.push({
+                event: "voltage-daily",
+                day: grid.voltage.day,
+                phases: grid.voltage.phases,
+                timestamp: now.toISOString()
+            });
+            grid.voltage = null;
+        }
+        grid.voltage = grid.voltage || {day: day, phases: {}};
+        names.forEach(phase => {
+            const voltage = phases[phase].voltage;
+            if (!(voltage > 0)) return;
+            
+            const stats = grid.voltage.phases[phase];
+            if (!stats) {
+                grid.voltage.phases[phase] = {min: voltage, minTime: now.toISOString(), max: voltage, maxTime: now.toISOString()};
+                return;
+            }
+            if (voltage < stats.min) {
+                stats.min = voltage;
+                stats.minTime = now.toISOString();
+            }
+            if (voltage > stats.max) {
+                stats.max = voltage;
+                stats.maxTime = now.toISOString();
+            }
+        });
+        
+        const active = Object.keys(grid.alarms).map(id => grid.alarms[id]).filter(alarm => alarm.active);
+        return {
+            events: events,
+            summary: {
+                voltage: JSON.parse(JSON.stringify(grid.voltage.phases)),
+                alarms: active.map(alarm => ({
+                    alarm: alarm.alarm,
+                    phase: alarm.phase,
+                    severity: alarm.severity,
+                    peak: alarm.peak,
+                    start: new Date(alarm.since).toISOString()
+                }))
+            }
+        };
+    }
+
+    // Flow through a gas or water counter in m³/h, from the change between two
+    // of the meter's own timestamps. The meter receives these counters once an
+    // hour, so the poll time says little about when the gas or water was used.
+    // Returns the rate and, when the counter was updated, the interval it covers.
+    function updateFlow(flow, counter, timestamp) {
+        const time = Date.parse(timestamp);
+        if (typeof counter !== 'number' || isNaN(time)) {
+            return null;
+        }
+        
+        let interval = null;
+        if (flow.time === undefined) {
+            flow.rate = null;
+        } else if (time > flow.time) {
+            const volume = counter - flow.counter;
+            // A counter going backwards is a reset or a new meter
+            flow.rate = volume >= 0 ? volume / ((time - flow.time) / 3600000) : null;
+            if (volume >= 0) {
+                interval = {start: flow.time, end: time, volume: volume};
+            }
+        } else {
+            return {rate: flow.rate, interval: null};
+        }
+        
+        flow.time = time;
+        flow.counter = counter;
+        return {rate: flow.rate, interval: interval};
+    }
+
+    // Parse a time window like "00:00-06:00" into minutes since midnight;
+    // null for an empty window, which means all day
+    function parseTimeWindow(window) {
+        const text = String(window || "").trim();
+        if (text === "") return null;
+        
+        const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(text);
+        if (!match || parseInt(match[1]) > 23 || parseInt(match[3]) > 23 || parseInt(match[2]) > 59 || parseInt(match[4]) > 59) {
+            throw new Error(`Invalid time window "${text}", expected e.g. 00:00-06:00`);
+        }
+        return {
+            start: parseInt(match[1]) * 60 + parseInt(match[2]),
+            end: parseInt(match[3]) * 60 + parseInt(match[4])
+        };
+    }
+
+    // Windows may wrap around midnight, e.g. 23:00-05:00
+    function isInTimeWindow(date, window) {
+        if (!window) return true;
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        if (window.start <= window.end) {
+            return minutes >= window.start && minutes < window.end;
+        }
+        return minutes >= window.start || minutes < window.end;
+    }
+
+    // Look for water leaks in a new interval of the water counter: water
+    // flowing without a pause for the configured hours inside the time
+    // window, or more water than the daily limit. The leak rate in L/min is
+    // the lowest flow during the continuous flow, or the average flow today.
+    function updateLeakDetection(leak, interval, settings) {
+        const events = [];
+        const end = new Date(interval.end);
+        const litres = interval.volume * 1000;
+        const rate = litres / ((interval.end - interval.start) / 60000);
+        const day = getDayKey(end);
+        
+        if (leak.day !== day) {
+            const midnight = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+            leak.day = day;
+            leak.today = 0;
+            leak.dayStart = Math.max(interval.start, midnight.getTime());
+            leak.dailyAlerted = false;
+        }
+        leak.today += litres;
+        
+        if (litres > 0 && isInTimeWindow(end, settings.window)) {
+            if (leak.since === null || leak.since === undefined) {
+                leak.since = interval.start;
+                leak.minRate = rate;
+                leak.alerted = false;
+            }
+            leak.minRate = Math.min(leak.minRate, rate);
+            
+            const hours = (interval.end - leak.since) / 3600000;
+            if (!leak.alerted && settings.hours > 0 && hours >= settings.hours) {
+                leak.alerted = true;
+                events.push({
+                    event: "water-leak",
+                    reason: "continuous-flow",
+                    since: new Date(leak.since).toISOString(),
+                    hours: roundToDecimalPlaces(hours, 2),
+                    leakRate: roundToDecimalPlaces(leak.minRate, 2),
+                    timestamp: end.toISOString()
+                });
+            }
+        } else {
+            if (leak.alerted) {
+                events.push({
+                    event: "water-leak-end",
+                    since: new Date(leak.since).toISOString(),
+                    hours: roundToDecimalPlaces((interval.start - leak.since) / 3600000, 2),
+                    timestamp: end.toISOString()
+                });
+            }
+            leak.since = null;
+            leak.alerted = false;
+        }
+        
+        if (settings.dailyLimit > 0 && leak.today > settings.dailyLimit && !leak.dailyAlerted) {
+            leak.dailyAlerted = true;
+            events.push({
+                event: "water-leak",
+                reason: "daily-limit",
+                today: roundToDecimalPlaces(leak.today, 1),
+                limit: settings.dailyLimit,
+                leakRate: roundToDecimalPlaces(leak.today / Math.max((interval.end - leak.dayStart) / 60000, 1), 2),
+                timestamp: end.toISOString()
+            });
+        }
+        
+        return events;
+    }
+
+    // Map the LS110 /a?f=j response onto the payload
+    function mapLS110Data(responses) {
+        const data = responses.energy;
+        let meterData = {};
+        
+        // Extract electricity values
+        meterData.power = data.pwr;
+        meterData.isGenerating = data.pwr < 0;
+        meterData.powerAbsolute = Math.abs(data.pwr);
+        
+        // Counter value (parse string with potential comma)
+        meterData.counter = parseNumericString(data.cnt);
+        
+        // Signal level
+        if (data.lvl !== undefined) {
+            meterData.signalLevel = data.lvl;
+        }
+        
+        // S0 pulse counter, reported by LS110 firmware with S0 input
+        if (data.cs0 !== undefined) {
+            meterData.s0 = {
+                counter: parseNumericString(data.cs0),
+                power: data.ps0 || 0,
+                timestamp: formatDeviceTimestamp(data.ts0)
+            };
+        }
+        
+        // Additional fields if they exist
+        if (data.dev) meterData.device = data.dev;
+        if (data.det) meterData.details = data.det;
+        if (data.con) meterData.connection = data.con;
+        if (data.sts) meterData.status = data.sts;
+        if (data.raw) meterData.rawValue = data.raw;
+        
+        return meterData;
+    }
+
+    // Map the LS120 /e?f=j and /f?f=j responses onto the payload
+    function mapLS120Data(responses, options) {
+        let meterData = {};
+        const energyData = responses.energy;
+        
+        // Process LS120 energy data
+        if (energyData && Array.isArray(energyData) && energyData.length > 0) {
+            const data = energyData[0];
+            
+            // Extract main electricity values
+            meterData.power = data.pwr;
+            meterData.isGenerating = data.pwr < 0;
+            meterData.powerAbsolute = Math.abs(data.pwr);
+            
+            // Total meter values
+            meterData.net = data.net;  // Net meter reading (can be negative if generating more than consuming)
+            
+            // P1/P2 are delivery (consumption) meters, N1/N2 are return (generation) meters
+            meterData.delivered = {
+                total: (data.p1 || 0) + (data.p2 || 0),
+                tariff1: data.p1 || 0,
+                tariff2: data.p2 || 0
+            };
+            
+            meterData.returned = {
+                total: (data.n1 || 0) + (data.n2 || 0),
+                tariff1: data.n1 || 0,
+                tariff2: data.n2 || 0
+            };
+            
+            // S0 pulse counter
+            if (data.cs0 !== undefined) {
+                meterData.s0 = {
+                    counter: data.cs0,
+                    power: data.ps0 || 0,
+                    timestamp: formatDeviceTimestamp(data.ts0)
+                };
+            }
+            
+            // Gas meter
+            if (data.gas !== undefined) {
+                meterData.gas = {
+                    counter: data.gas,
+                    timestamp: formatDeviceTimestamp(data.gts)
+                };
+            }
+            
+            // Water meter
+            if (data.wtr !== undefined) {
+                meterData.water = {
+                    counter: data.wtr,
+                    timestamp: formatDeviceTimestamp(data.wts)
+                };
+            }
+            
+            // Phase information
+            if (responses.phases) {
+                const phaseData = responses.phases;
+                
+                // Calculate phase values, potentially making currents negative
+                const processPhaseValue = (current, voltage, power) => {
+                    let processedCurrent = current || 0;
+                    // If showNegativeCurrent is enabled and power is negative, make current negative too
+                    if (options.showNegativeCurrent && power < 0 && processedCurrent > 0) {
+                        processedCurrent = -processedCurrent;
+                    }
+                    return {
+                        current: processedCurrent,
+                        voltage: voltage || 0,
+                        power: power || 0
+                    };
+                };
+                
+                meterData.phases = {
+                    L1: processPhaseValue(phaseData.i1, phaseData.v1, phaseData.l1),
+                    L2: processPhaseValue(phaseData.i2, phaseData.v2, phaseData.l2),
+                    L3: processPhaseValue(phaseData.i3, phaseData.v3, phaseData.l3)
+                };
+                
+                // Additional values
+                if (phaseData.tr !== undefined) meterData.tariff = phaseData.tr;
+                if (phaseData.pa !== undefined) meterData.activePower = phaseData.pa;
+                if (phaseData.pp !== undefined) meterData.peakPower = phaseData.pp;
+                if (phaseData.pts !== undefined) meterData.peakTimestamp = formatDeviceTimestamp(phaseData.pts);
+            }
+        }
+        
+        return meterData;
+    }
+
+    // Device profiles. A profile declares how it is recognised from the /d
+    // device information ({model, mac, fw}), which endpoints it reads and how
+    // the responses map onto the payload. When several profiles match, the
+    // one with the highest priority wins, so firmware-specific profiles take
+    // precedence over the generic model. Endpoints that are not required may
+    // fail without failing the reading.
+    const MODEL_PROFILES = [];
+
+    function registerModelProfile(profile) {
+        MODEL_PROFILES.push(Object.assign({priority: 0, features: []}, profile));
+    }
+
+    function getModelProfile(id) {
+        return MODEL_PROFILES.find(profile => profile.id === id) || null;
+    }
+
+    // Best matching profile for the /d device information, if any
+    function findModelProfile(deviceInfo) {
+        let found = null;
+        for (const profile of MODEL_PROFILES) {
+            if (profile.detect(deviceInfo) && (!found || profile.priority > found.priority)) {
+                found = profile;
+            }
+        }
+        return found;
+    }
+
+    const LS110_ENDPOINTS = {
+        energy: { path: "/a?f=j", required: true }
+    };
+
+    const LS120_ENDPOINTS = {
+        energy: { path: "/e?f=j", required: true },
+        phases: { path: "/f?f=j", required: false }
+    };
+
+    // Firmware versions end in a suffix for the portal they report to,
+    // e.g. "1.6.0-EL" (Enelogic) or "1.5.2-PO" (PVOutput)
+    function isFirmware(deviceInfo, suffix) {
+        return new RegExp(`-${suffix}\\b`, "i").test(String(deviceInfo.fw || ""));
+    }
+
+    function isModel(deviceInfo, model) {
+        return String(deviceInfo.model || "").toUpperCase().startsWith(model);
+    }
+
+    registerModelProfile({
+        id: "LS110",
+        model: "LS110",
+        label: "LS110 (Basic model)",
+        detect: info => isModel(info, "LS110"),
+        endpoints: LS110_ENDPOINTS,
+        map: mapLS110Data
+    });
+
+    registerModelProfile({
+        id: "LS110-PO",
+        model: "LS110",
+        label: "LS110 with PVOutput firmware (S0 input)",
+        priority: 1,
+        features: ["s0"],
+        detect: info => isModel(info, "LS110") && isFirmware(info, "PO"),
+        endpoints: LS110_ENDPOINTS,
+        map: mapLS110Data
+    });
+
+    registerModelProfile({
+        id: "LS120",
+        model: "LS120",
+        label: "LS120 (with S0 pulse counter)",
+        features: ["s0", "phases", "gas", "water"],
+        detect: info => isModel(info, "LS120"),
+        endpoints: LS120_ENDPOINTS,
+        map: mapLS120Data
+    });
+
+    registerModelProfile({
+        id: "LS120-EL",
+        model: "LS120",
+        label: "LS120 with Enelogic firmware",
+        priority: 1,
+        features: ["s0", "phases", "gas", "water"],
+        detect: info => isModel(info, "LS120") && isFirmware(info, "EL"),
+        endpoints: LS120_ENDPOINTS,
+        map: mapLS120Data
+    });
+
+    registerModelProfile({
+        id: "LS120-PO",
+        model: "LS120",
+        label: "LS120 with PVOutput firmware",
+        priority: 1,
+        features: ["s0", "phases", "gas", "water"],
+        detect: info => isModel(info, "LS120") && isFirmware(info, "PO"),
+        endpoints: LS120_ENDPOINTS,
+        map: mapLS120Data
+    });
+
+    // Simulated meters report firmware ending in "-SIM", so they are also
+    // recognised when polled over HTTP through the simulator server
+    registerModelProfile({
+        id: "SIM-LS110",
+        model: "LS110",
+        label: "Simulated LS110",
+        priority: 2,
+        simulated: true,
+        detect: info => isModel(info, "LS110") && isFirmware(info, "SIM"),
+        endpoints: LS110_ENDPOINTS,
+        map: mapLS110Data
+    });
+
+    registerModelProfile({
+        id: "SIM-LS120",
+        model: "LS120",
+        label: "Simulated LS120",
+        priority: 2,
+        simulated: true,
+        features: ["s0", "phases", "gas", "water"],
+        detect: info => isModel(info, "LS120") && isFirmware(info, "SIM"),
+        endpoints: LS120_ENDPOINTS,
+        map: mapLS120Data
+    });
+
+    function isSimulatedModel(id) {
+        const profile = getModelProfile(id);
+        return !!profile && profile.simulated === true;
+    }
+
+    // Local time as the meter writes it, YYMMDDhhmm
+    function formatMeterTime(date) {
+        const pad = value => String(value).padStart(2, "0");
+        return `${pad(date.getFullYear() % 100)}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}`;
+    }
+
+    function getHourOfDay(date) {
+        return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+    }
+
+    // Household consumption in W: a base load with a fridge cycling every
+    // ten minutes, and peaks in the morning and the evening
+    function simulatedConsumption(date) {
+        const hour = getHourOfDay(date);
+        const time = date.getTime();
+        const fridge = Math.floor(time / 600000) % 2 === 0 ? 90 : 0;
+        const morning = 900 * Math.exp(-Math.pow(hour - 7.5, 2) / 0.5);
+        const evening = 1400 * Math.exp(-Math.pow(hour - 18.5, 2) / 2);
+        const wobble = 1 + 0.05 * Math.sin(time / 37000) + 0.03 * Math.sin(time / 11000);
+        return (250 + fridge + morning + evening) * wobble;
+    }
+
+    // 0 in midwinter to 1 in midsummer
+    function simulatedSeason(date) {
+        const dayOfYear = (date - new Date(date.getFullYear(), 0, 1)) / 86400000;
+        return 0.5 + 0.5 * Math.cos(2 * Math.PI * (dayOfYear - 172) / 365);
+    }
+
+    // Solar production in W between 7:00 and 19:00, peaking at midday
+    function simulatedSolar(date) {
+        const hour = getHourOfDay(date);
+        if (hour <= 7 || hour >= 19) return 0;
+        const clouds = 0.85 + 0.15 * Math.sin(date.getTime() / 420000);
+        return 3500 * (0.4 + 0.6 * simulatedSeason(date)) * Math.pow(Math.sin(Math.PI * (hour - 7) / 12), 2) * clouds;
+    }
+
+    // Gas in m³/h for heating, more in winter, and water in L/h, mostly in the morning
+    function simulatedGas(date) {
+        const hour = getHourOfDay(date);
+        const heating = hour >= 6 && hour < 23 ? 0.6 * (1 - simulatedSeason(date)) : 0.05;
+        return heating + 0.4 * Math.exp(-Math.pow(hour - 7, 2) / 0.3);
+    }
+
+    function simulatedWater(date) {
+        const hour = getHourOfDay(date);
+        const base = hour >= 6 && hour < 23 ? 5 : 0;
+        return base + 120 * Math.exp(-Math.pow(hour - 7, 2) / 0.3) + 40 * Math.exp(-Math.pow(hour - 19, 2) / 0.5);
+    }
+
+    // Tariff 1 (low) at night and in the weekend, tariff 2 (normal) otherwise
+    function simulatedTariff(date) {
+        const day = date.getDay();
+        return day === 0 || day === 6 || date.getHours() < 7 || date.getHours() >= 23 ? 1 : 2;
+    }
+
+    // A simulated meter. Its counters are integrated from the same curves as
+    // the power it reports, so readings are consistent over time. Gas and
+    // water are reported as they were at the last full hour, like a real
+    // meter that receives them hourly. respond() answers a request path
+    // with the data the real meter would return, or undefined.
+    function createSimulator(model) {
+        const STEP = 60000;
+        const MAX_CATCH_UP = 7 * 86400000;
+        const meter = {
+            time: Date.now(),
+            delivered: [4123.456, 3987.654],
+            returned: [812.345, 1045.678],
+            solar: 5321.2,
+            gas: 2345.678,
+            water: 456.789,
+            hourly: null,
+            peak: {power: 0, time: new Date()}
+        };
+        const mac = model === "LS110" ? "72:b8:ad:00:01:10" : "72:b8:ad:00:01:20";
+        
+        function snapshotHour(time) {
+            const hour = new Date(time);
+            hour.setMinutes(0, 0, 0);
+            meter.hourly = {gas: meter.gas, water: meter.water, time: hour};
+        }
+        snapshotHour(meter.time);
+        
+        function advance(now) {
+            meter.time = Math.max(meter.time, now - MAX_CATCH_UP);
+            while (meter.time < now) {
+                const step = Math.min(STEP, now - meter.time);
+                const middle = new Date(meter.time + step / 2);
+                const hours = step / 3600000;
+                const solar = simulatedSolar(middle);
+                const net = simulatedConsumption(middle) - solar;
+                const tariff = simulatedTariff(middle) - 1;
+                
+                if (net >= 0) {
+                    meter.delivered[tariff] += net * hours / 1000;
+                } else {
+                    meter.returned[tariff] -= net * hours / 1000;
+                }
+                meter.solar += solar * hours / 1000;
+                meter.gas += simulatedGas(middle) * hours;
+                meter.water += simulatedWater(middle) * hours / 1000;
+                
+                const previousHour = Math.floor(meter.time / 3600000);
+                meter.time += step;
+                if (Math.floor(meter.time / 3600000) !== previousHour) {
+                    snapshotHour(meter.time);
+                }
+            }
+        }
+        
+        const round = value => roundToDecimalPlaces(value, 3);
+        
+        function respond(path) {
+            const now = Date.now();
+            advance(now);
+            const date = new Date(now);
+            const solar = simulatedSolar(date);
+            const consumption = simulatedConsumption(date);
+            const power = Math.round(consumption - solar);
+            const delivered = meter.delivered[0] + meter.delivered[1];
+            const returned = meter.returned[0] + meter.returned[1];
+            
+            if (power > meter.peak.power || date.getMonth() !== meter.peak.time.getMonth()) {
+                meter.peak = {power: power, time: date};
+            }
+            
+            if (path === "/d") {
+                return {model: model, mac: mac, fw: model === "LS110" ? "1.5.2-SIM" : "1.6.0-SIM"};
+            }
+            
+            if (model === "LS110" && path === "/a?f=j") {
+                // The counter only counts import, like the meter it reads
+                return {
+                    cnt: ` ${round(delivered).toFixed(3).replace(".", ",")}`,
+                    pwr: power,
+                    lvl: 96,
+                    dev: "(ok)",
+                    det: "",
+                    con: "OK",
+                    sts: "(22)",
+                    raw: 0
+                };
+            }
+            
+            if (model === "LS120" && path === "/e?f=j") {
+                return [{
+                    tm: Math.floor(now / 1000),
+                    net: round(delivered - returned),
+                    pwr: power,
+                    ts0: Math.floor(now / 1000),
+                    cs0: round(meter.solar),
+                    ps0: Math.round(solar),
+                    p1: round(meter.delivered[0]),
+                    p2: round(meter.delivered[1]),
+                    n1: round(meter.returned[0]),
+                    n2: round(meter.returned[1]),
+                    gas: round(meter.hourly.gas),
+                    gts: parseInt(formatMeterTime(meter.hourly.time), 10),
+                    wtr: round(meter.hourly.water),
+                    wts: parseInt(formatMeterTime(meter.hourly.time), 10)
+                }];
+            }
+            
+            if (model === "LS120" && path === "/f?f=j") {
+                // The inverter feeds in on L1, which raises its voltage
+                const powers = [consumption * 0.5 - solar, consumption * 0.3, consumption * 0.2];
+                const voltages = [
+                    230 + 2 * Math.sin(now / 50000) + solar * 0.0015,
+                    231 + 2 * Math.sin(now / 60000 + 2),
+                    229 + 2 * Math.sin(now / 70000 + 4)
+                ];
+                const currents = powers.map((phasePower, index) => Math.abs(phasePower) / voltages[index]);
+                return {
+                    ch: 1,
+                    tr: simulatedTariff(date),
+                    i1: roundToDecimalPlaces(currents[0], 2),
+                    i2: roundToDecimalPlaces(currents[1], 2),
+                    i3: roundToDecimalPlaces(currents[2], 2),
+                    v1: roundToDecimalPlaces(voltages[0], 1),
+                    v2: roundToDecimalPlaces(voltages[1], 1),
+                    v3: roundToDecimalPlaces(voltages[2], 1),
+                    l1: Math.round(powers[0]),
+                    l2: Math.round(powers[1]),
+                    l3: Math.round(powers[2]),
+                    pa: power,
+                    pp: meter.peak.power,
+                    pts: parseInt(formatMeterTime(meter.peak.time), 10)
+                };
+            }
+            
+            return undefined;
+        }
+        
+        return {
+            respond: respond
+        };
+    }
+
+    // HTTP server answering like a YouLess meter, so flows, the discovery
+    // probe and other tools can be tested against a simulated meter
+    function createSimulatorServer(simulator) {
+        return http.createServer(function(req, res) {
+            const data = simulator.respond(req.url);
+            if (data === undefined) {
+                res.statusCode = 404;
+                res.end("Not found");
+                return;
+            }
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify(data));
+        });
+    }
+
+    // Units of the values in a reading, by field path. "*" matches any
+    // single field; the first matching pattern wins.
+    const FIELD_UNITS = [
+        ["power", "W"],
+        ["powerAbsolute", "W"],
+        ["activePower", "W"],
+        ["peakPower", "W"],
+        ["counter", "kWh"],
+        ["net", "kWh"],
+        ["delivered/*", "kWh"],
+        ["returned/*", "kWh"],
+        ["phases/*/voltage", "V"],
+        ["phases/*/current", "A"],
+        ["phases/*/power", "W"],
+        ["s0/counter", "kWh"],
+        ["s0/power", "W"],
+        ["gas/counter", "m³"],
+        ["water/counter", "m³"],
+        ["energy/*/gas", "m³"],
+        ["energy/*/water", "m³"],
+        ["energy/*/*", "kWh"],
+        ["cost/prices/*", "EUR"],
+        ["cost/*/*", "EUR"],
+        ["peak/*/average", "W"],
+        ["peak/*/projected", "W"],
+        ["peak/*/power", "W"],
+        ["grid/voltage/*/*", "V"],
+        ["gas/flow", "m³/h"],
+        ["water/flow", "L/min"],
+        ["household/today/selfSufficiency", "%"],
+        ["household/today/selfConsumption", "%"],
+        ["household/today/*", "kWh"],
+        ["household/selfSufficiency", "%"],
+        ["household/selfConsumption", "%"],
+        ["household/*", "W"]
+    ];
+
+    // Split a field list ("phases/*/voltage, gas.counter") into patterns
+    function parseFieldList(list) {
+        return String(list || "").split(",")
+            .map(field => field.trim().replace(/\./g, "/"))
+            .filter(field => field !== "")
+            .map(field => field.split("/"));
+    }
+
+    // A pattern matches the field itself and everything below it
+    function matchesField(path, patterns) {
+        return patterns.some(pattern => {
+            return pattern.length <= path.length &&
+                pattern.every((part, index) => part === "*" || part === path[index]);
+        });
+    }
+
+    // The first [pattern, value] entry of a table for exactly this field
+    function findFieldEntry(table, path) {
+        return table.find(([pattern]) => {
+            const parts = pattern.split("/");
+            return parts.length === path.length && matchesField(path, [parts]);
+        });
+    }
+
+    function getFieldUnit(path) {
+        const found = findFieldEntry(FIELD_UNITS, path);
+        return found ? found[1] : null;
+    }
+
+    // Parse deadbands like "power=20, phases/*/voltage=1, gas=5%". Values
+    // ending in % are relative to the last value sent.
+    function parseDeadbands(list, onInvalid) {
+        const deadbands = [];
+        String(list || "").split(",").map(entry => entry.trim()).filter(entry => entry !== "").forEach(entry => {
+            const match = entry.match(/^([^=]+)=\s*([\d.]+)\s*(%?)$/);
+            if (!match || isNaN(parseFloat(match[2]))) {
+                onInvalid(`Invalid deadband "${entry}", expected field=value or field=value%`);
+                return;
+            }
+            deadbands.push({
+                path: match[1].trim().replace(/\./g, "/").split("/"),
+                value: parseFloat(match[2]),
+                percent: match[3] === "%"
+            });
+        });
+        return deadbands;
+    }
+
+    // Whether a value has moved outside its deadband since it was last sent.
+    // Values without a deadband, counters included, only need to change.
+    function exceedsDeadband(value, last, deadband) {
+        if (last === undefined) return true;
+        if (typeof value !== 'number' || typeof last !== 'number') return value !== last;
+        
+        let band = 0;
+        if (deadband) {
+            band = deadband.percent ? Math.abs(last) * deadband.value / 100 : deadband.value;
+        }
+        return Math.abs(value - last) > band;
+    }
+
+    // All values of a reading with their path, e.g. {path: ["phases", "L1",
+    // "voltage"], value: 230.1, timestamp}. Timestamps of a group (gas, water,
+    // s0) apply to the values in it; the root timestamp is used otherwise.
+    function flattenReading(meterData) {
+        const values = [];
+        
+        function walk(obj, path, timestamp) {
+            if (typeof obj.timestamp === 'string' && path.length > 0) {
+                timestamp = obj.timestamp;
+            }
+            for (const key of Object.keys(obj)) {
+                const value = obj[key];
+                if (key === "timestamp") continue;
+                if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                    walk(value, path.concat(key), timestamp);
+                } else if (value !== null && value !== undefined && !Array.isArray(value)) {
+                    values.push({path: path.concat(key), value: value, timestamp: timestamp});
+                }
+            }
+        }
+        
+        walk(meterData, [], meterData.timestamp);
+        return values;
+    }
+
+    // Counters in a reading, with the accounting register that gives the
+    // most they can increase per hour
+    const COUNTER_FIELDS = [
+        ["counter", "import"],
+        ["delivered/*", "import"],
+        ["returned/*", "export"],
+        ["s0/counter", "pv"],
+        ["gas/counter", "gas"],
+        ["water/counter", "water"]
+    ];
+
+    // Consecutive readings with a lower counter after which it is taken as a
+    // counter reset rather than a glitch
+    const RESET_AFTER_READINGS = 3;
+
+    function getPathValue(obj, path) {
+        return path.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), obj);
+    }
+
+    // Set a value, creating the objects on its path where needed
+    function setPathValue(obj, path, value) {
+        let parent = obj;
+        for (const key of path.slice(0, -1)) {
+            if (!parent[key] || typeof parent[key] !== 'object') {
+                parent[key] = {};
+            }
+            parent = parent[key];
+        }
+        parent[path[path.length - 1]] = value;
+    }
+
+    // Check a reading before anything is derived from it: measurements must be
+    // numbers within a plausible range, counters may not go backwards or jump
+    // further than the meter can measure, and the hourly gas and water values
+    // should be recent. Bad values are wrong for sure, suspect ones probably.
+    // quality keeps the last good values between readings.
+    function validateReading(quality, meterData, limits, now) {
+        const reasons = [];
+        const time = now.getTime();
+        const add = (path, check, severity, message) => {
+            reasons.push({field: path.join("/"), check: check, severity: severity, message: message});
+        };
+        quality.values = quality.values || {};
+        quality.backwards = quality.backwards || {};
+        
+        const fields = flattenReading(meterData).filter(field => getFieldUnit(field.path) !== null);
+        for (const field of fields) {
+            const key = field.path.join("/");
+            const value = field.value;
+            
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                add(field.path, "type", "bad", `${key} is not a number: ${JSON.stringify(value)}`);
+                continue;
+            }
+            
+            const last = quality.values[key];
+            const counter = findFieldEntry(COUNTER_FIELDS, field.path);
+            if (counter && last) {
+                const hours = Math.max((time - last.time) / 3600000, 1 / 60);
+                if (value < last.value) {
+                    quality.backwards[key] = (quality.backwards[key] || 0) + 1;
+                    if (quality.backwards[key] < RESET_AFTER_READINGS) {
+                        add(field.path, "backwards", "bad", `${key} went backwards from ${last.value} to ${value}`);
+                        continue;
+                    }
+                    add(field.path, "reset", "suspect", `${key} was reset from ${last.value} to ${value}`);
+                } else if (value - last.value > ENERGY_REGISTERS[counter[1]] * hours) {
+                    add(field.path, "jump", "suspect", `${key} jumped from ${last.value} to ${value}`);
+                }
+            } else if (/power$/i.test(key) && Math.abs(value) > limits.maxPower) {
+                add(field.path, "range", "bad", `${key} of ${value} W is out of range`);
+                continue;
+            } else if (field.path[0] === "phases" && key.endsWith("/voltage") && value !== 0 && (value < 150 || value > 300)) {
+                add(field.path, "range", "bad", `${key} of ${value} V is out of range`);
+                continue;
+            } else if (field.path[0] === "phases" && key.endsWith("/current") && Math.abs(value) > 200) {
+                add(field.path, "range", "bad", `${key} of ${value} A is out of range`);
+                continue;
+            }
+            
+            delete quality.backwards[key];
+            quality.values[key] = {value: value, time: time};
+        }
+        
+        // The meter receives gas and water hourly; much older values mean
+        // the connection to that meter is lost
+        for (const medium of ["gas", "water"]) {
+            const timestamp = meterData[medium] ? Date.parse(meterData[medium].timestamp) : NaN;
+            if (!isNaN(timestamp) && limits.staleHours > 0 && time - timestamp > limits.staleHours * 3600000) {
+                add([medium, "timestamp"], "stale", "suspect",
+                    `${medium} was last updated ${roundToDecimalPlaces((time - timestamp) / 3600000, 1)} hours ago`);
+            }
+        }
+        
+        let status = "ok";
+        if (reasons.some(reason => reason.severity === "bad")) {
+            status = "bad";
+        } else if (reasons.length > 0) {
+            status = "suspect";
+        }
+        return {status: status, reasons: reasons};
+    }
+
+    // Replace the bad values of a reading by the last good ones, returning
+    // the fields that were replaced
+    function holdLastGood(quality, meterData, result) {
+        const held = [];
+        result.reasons.filter(reason => reason.severity === "bad").forEach(reason => {
+            const last = quality.values[reason.field];
+            if (last) {
+                setPathValue(meterData, reason.field.split("/"), last.value);
+                held.push(reason.field);
+            }
+        });
+        if (held.indexOf("power") !== -1) {
+            meterData.isGenerating = meterData.power < 0;
+            meterData.powerAbsolute = Math.abs(meterData.power);
+        }
+        return held;
+    }
+
+    // InfluxDB line protocol escaping
+    function escapeInfluxKey(value) {
+        return String(value).replace(/[,= ]/g, "\\$&");
+    }
+
+    // Render the values of a reading as InfluxDB line protocol. Values per
+    // phase get a phase tag, and values the meter timestamps itself (gas,
+    // water, S0) are written at that time instead of the time of the reading.
+    function buildLineProtocol(fields, options) {
+        const measurement = String(options.measurement).replace(/[, ]/g, "\\$&");
+        const tags = Object.keys(options.tags).filter(tag => options.tags[tag])
+            .map(tag => `,${tag}=${escapeInfluxKey(options.tags[tag])}`).join("");
+        const lines = new Map();
+        
+        fields.forEach(field => {
+            if (typeof field.value !== 'number' && typeof field.value !== 'boolean') return;
+            if (typeof field.value === 'number' && !Number.isFinite(field.value)) return;
+            
+            let path = field.path;
+            let phase = "";
+            if (path[0] === "phases" && path.length > 2) {
+                phase = path[1];
+                path = path.slice(2);
+            }
+            const time = new Date(field.timestamp).getTime();
+            const key = `${phase}|${time}`;
+            if (!lines.has(key)) {
+                lines.set(key, {phase: phase, time: time, values: []});
+            }
+            lines.get(key).values.push(`${escapeInfluxKey(path.join("_"))}=${field.value}`);
+        });
+        
+        return Array.from(lines.values()).map(line => {
+            const phaseTag = line.phase ? `,phase=${escapeInfluxKey(line.phase)}` : "";
+            const timestamp = isNaN(line.time) ? "" : ` ${line.time}000000`;
+            return `${measurement}${tags}${phaseTag} ${line.values.join(",")}${timestamp}`;
+        }).join("\n");
+    }
+
+    // Deployed youless-se nodes, for the metrics endpoint
+    const metricsSources = new Set();
+
+    // Escape a Prometheus label value
+    function escapeLabel(value) {
+        return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    }
+
+    // Render the latest reading and poll statistics of all nodes in the
+    // Prometheus text exposition format
+    function renderMetrics(sources) {
+        const families = new Map();
+        const sample = (name, type, help, labels, value) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return;
+            if (!families.has(name)) {
+                families.set(name, {type: type, help: help, samples: []});
+            }
+            const labelText = Object.keys(labels).map(key => `${key}="${escapeLabel(labels[key])}"`).join(",");
+            families.get(name).samples.push(`${name}{${labelText}} ${value}`);
+        };
+        
+        for (const source of sources) {
+            const stats = source.device.getStats();
+            const reading = source.lastReading || {};
+            // The node id keeps series apart when several nodes share a name
+            const labels = {
+                node: source.node.name,
+                node_id: source.node.id,
+                host: source.device.settings.host,
+                model: reading.profile || reading.model || source.device.settings.model
+            };
+            const withLabel = (key, value) => Object.assign({}, labels, {[key]: value});
+            
+            sample("youless_up", "gauge", "Whether the device answered its last polls (1) or is offline (0)", labels, stats.online ? 1 : 0);
+            sample("youless_polls_total", "counter", "Polls of the device by result", withLabel("result", "success"), stats.success);
+            sample("youless_polls_total", "counter", "Polls of the device by result", withLabel("result", "failure"), stats.failure);
+            sample("youless_poll_duration_seconds", "gauge", "Duration of the last poll", labels, stats.lastDuration);
+            
+            sample("youless_power_watts", "gauge", "Current power, negative when returning to the grid", labels, reading.power);
+            sample("youless_energy_kwh_total", "counter", "Energy meter reading (LS110)", labels, reading.counter);
+            for (const tariff of ["1", "2"]) {
+                if (reading.delivered) {
+                    sample("youless_energy_import_kwh_total", "counter", "Energy imported from the grid",
+                        withLabel("tariff", tariff), reading.delivered[`tariff${tariff}`]);
+                }
+                if (reading.returned) {
+                    sample("youless_energy_export_kwh_total", "counter", "Energy exported to the grid",
+                        withLabel("tariff", tariff), reading.returned[`tariff${tariff}`]);
+                }
+            }
+            sample("youless_tariff", "gauge", "Active tariff", labels, reading.tariff);
+            if (reading.phases) {
+                for (const phase of Object.keys(reading.phases)) {
+                    const values = reading.phases[phase];
+                    sample("youless_phase_voltage_volts", "gauge", "Voltage per phase", withLabel("phase", phase), values.voltage);
+                    sample("youless_phase_current_amperes", "gauge", "Current per phase", withLabel("phase", phase), values.current);
+                    sample("youless_phase_power_watts", "gauge", "Power per phase", withLabel("phase", phase), values.power);
+                }
+            }
+            if (reading.gas) {
+                sample("youless_gas_m3_total", "counter", "Gas meter reading", labels, reading.gas.counter);
+            }
+            if (reading.water) {
+                sample("youless_water_m3_total", "counter", "Water meter reading", labels, reading.water.counter);
+            }
+            if (reading.s0) {
+                sample("youless_s0_kwh_total", "counter", "S0 pulse counter", labels, reading.s0.counter);
+                sample("youless_s0_power_watts", "gauge", "S0 power", labels, reading.s0.power);
+            }
+        }
+        
+        const lines = [];
+        families.forEach((family, name) => {
+            lines.push(`# HELP ${name} ${family.help}`);
+            lines.push(`# TYPE ${name} ${family.type}`);
+            lines.push(...family.samples);
+        });
+        return lines.join("\n") + "\n";
+    }
+
+    // Read the device settings from a youless-device config node, or from
+    // the connection settings stored on an older youless-se node
+    function getDeviceSettings(config, credentials) {
+        const backoffMax = parseInt(config.backoffMax);
+        const stopAfterErrors = parseInt(config.stopAfterErrors);
+        
+        return {
+            host: config.host,
+            model: config.model || "LS110",
+            // Older flows stored the password in the node configuration
+            password: (credentials && credentials.password) || config.password || "",
+            interval: parseInt(config.interval) || 10,
+            startAutomatically: config.startAutomatically !== false, // Ensure proper boolean conversion
+            showNegativeCurrent: config.showNegativeCurrent || false,
+            telegramPath: (config.telegramPath || "").trim(), // Raw P1 telegram, where the firmware has one
+            backoffMax: isNaN(backoffMax) || backoffMax < 1 ? 300 : backoffMax, // Seconds
+            stopAfterErrors: isNaN(stopAfterErrors) || stopAfterErrors < 0 ? 0 : stopAfterErrors // 0 = never stop
+        };
+    }
+
+    // Output ports of a youless-se node, in order. The editor builds the
+    // same list to set the number of outputs and their labels.
+    function getOutputPorts(config) {
+        const ports = config.domainOutputs ? DOMAIN_PORTS.slice() : ["readings"];
+        // Peak warnings and leak alerts are sent on the status output, so it
+        // is there with them
+        const peakWarnings = config.peakTracking && parseFloat(config.peakThreshold) > 0;
+        if (config.statusOutput || peakWarnings || config.leakDetection) {
+            ports.push("status");
+        }
+        if (config.haDiscovery) {
+            ports.push("discovery");
+        }
+        if (config.gridAlarms) {
+            ports.push("alarms");
+        }
+        if (config.errorOutput) {
+            ports.push("errors");
+        }
+        return ports;
+    }
+
+    // Ports replacing the readings output with an output per domain, and
+    // the reading fields they carry; everything else is electricity
+    const DOMAIN_PORTS = ["electricity", "phases", "gas", "water", "s0"];
+    const DOMAIN_FIELDS = {
+        phases: "phases",
+        grid: "phases",
+        gas: "gas",
+        water: "water",
+        s0: "s0"
+    };
+
+    // Fields every domain payload repeats
+    const COMMON_FIELDS = ["timestamp", "model", "profile"];
+
+    function getFieldDomain(path) {
+        return DOMAIN_FIELDS[path[0]] || "electricity";
+    }
+
+    // Split a reading into a payload per domain that has data. Fields keep
+    // their place, so payload.gas.counter reads the same as in the full reading.
+    function splitReadingByDomain(meterData) {
+        const payloads = {};
+        for (const key of Object.keys(meterData)) {
+            if (COMMON_FIELDS.includes(key) || meterData[key] === null || meterData[key] === undefined) continue;
+            
+            const domain = getFieldDomain([key]);
+            if (!payloads[domain]) {
+                payloads[domain] = {};
+                COMMON_FIELDS.forEach(name => {
+                    if (meterData[name] !== undefined) {
+                        payloads[domain][name] = meterData[name];
+                    }
+                });
+            }
+            payloads[domain][key] = meterData[key];
+        }
+        return payloads;
+    }
+
+    // Structured form of a failed request, for the error output
+    function describeError(error) {
+        return {
+            code: error.code || "ERROR",
+            message: error.message,
+            endpoint: error.endpoint || null,
+            statusCode: error.response ? error.response.status : null
+        };
+    }
+
+    // Home Assistant sensors for the values present in a reading. The path
+    // points into the state payload, which is the reading itself.
+    function getHomeAssistantSensors(meterData) {
+        const sensors = [];
+        const add = (path, name, deviceClass, stateClass, unit) => {
+            const value = path.split('.').reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]), meterData);
+            if (typeof value === 'number') {
+                sensors.push({path: path, name: name, deviceClass: deviceClass, stateClass: stateClass, unit: unit});
+            }
+        };
+        
+        add("power", "Power", "power", "measurement", "W");
+        add("counter", "Energy", "energy", "total_increasing", "kWh");
+        add("delivered.tariff1", "Energy import tariff 1", "energy", "total_increasing", "kWh");
+        add("delivered.tariff2", "Energy import tariff 2", "energy", "total_increasing", "kWh");
+        add("returned.tariff1", "Energy export tariff 1", "energy", "total_increasing", "kWh");
+        add("returned.tariff2", "Energy export tariff 2", "energy", "total_increasing", "kWh");
+        add("tariff", "Tariff", null, null, null);
+        for (const phase of ["L1", "L2", "L3"]) {
+            add(`phases.${phase}.voltage`, `Voltage ${phase}`, "voltage", "measurement", "V");
+            add(`phases.${phase}.current`, `Current ${phase}`, "current", "measurement", "A");
+            add(`phases.${phase}.power`, `Power ${phase}`, "power", "measurement", "W");
+        }
+        add("gas.counter", "Gas", "gas", "total_increasing", "m³");
+        add("water.counter", "Water", "water", "total_increasing", "m³");
+        add("gas.flow", "Gas flow", "volume_flow_rate", "measurement", "m³/h");
+        add("water.flow", "Water flow", "volume_flow_rate", "measurement", "L/min");
+        add("s0.counter", "S0 energy", "energy", "total_increasing", "kWh");
+        add("s0.power", "S0 power", "power", "measurement", "W");
+        add("household.power", "Household power", "power", "measurement", "W");
+        add("household.selfSufficiency", "Self-sufficiency", null, "measurement", "%");
+        add("household.selfConsumption", "Self-consumption", null, "measurement", "%");
+        add("household.today.consumption", "Household energy today", "energy", "total_increasing", "kWh");
+        add("household.today.selfConsumed", "Self-consumed energy today", "energy", "total_increasing", "kWh");
+        
+        return sensors;
+    }
+
+    // Retained Home Assistant MQTT discovery messages, one per sensor
+    function buildHomeAssistantDiscovery(sensors, options) {
+        const deviceId = `youless_${options.id}`;
+        const device = {
+            identifiers: [deviceId],
+            name: options.name,
+            manufacturer: "YouLess",
+            model: options.model
+        };
+        if (options.firmware) device.sw_version = options.firmware;
+        if (options.mac) device.connections = [["mac", options.mac]];
+        
+        return sensors.map(sensor => {
+            const objectId = sensor.path.replace(/\./g, "_").toLowerCase();
+            const config = {
+                name: sensor.name,
+                unique_id: `${deviceId}_${objectId}`,
+                state_topic: options.stateTopic,
+                value_template: `{{ value_json.${sensor.path} }}`,
+                device: device
+            };
+            if (sensor.deviceClass) config.device_class = sensor.deviceClass;
+            if (sensor.stateClass) config.state_class = sensor.stateClass;
+            if (sensor.unit) config.unit_of_measurement = sensor.unit;
+            
+            return {
+                topic: `${options.prefix}/sensor/${deviceId}/${objectId}/config`,
+                payload: config,
+                retain: true
+            };
+        });
+    }
+
+    // Create the connection and polling schedule for one YouLess device.
+    // The owner node is used for logging; readings and status changes are
+    // fanned out to every subscribed node.
+    function createDevice(owner, settings) {
+        const subscribers = new Set();
+        
+        // Status management
+        let polling = false;
+        let pollTimer = null;
+        let pollLoopId = 0; // Changes on stop and start, ending the running loop
+        let startTimer = null;
+        let inFlight = null;
+        let detectedModel = null;
+        let info = null;
+        let sessionCookie = null;
+        let loggedIn = false; // Some firmware accepts the login without a cookie
+        let errorCount = 0;
+        let online = true;
+        const stats = {
+            success: 0,
+            failure: 0,
+            lastDuration: null // Seconds
+        };
+        let offlineSince = null;
+        let lastStatus = {fill: "grey", shape: "dot", text: "not running"};
+        
+        // Simulated models are answered in-process instead of over the network
+        let simulator = null;
+        function setupSimulator() {
+            simulator = isSimulatedModel(settings.model) ? createSimulator(getModelProfile(settings.model).model) : null;
+        }
+        setupSimulator();
+        
+        // Consecutive failed polls before the device is reported offline
+        const OFFLINE_AFTER_ERRORS = 3;
+        
+        // Requests time out before the next poll is due, within these bounds
+        const MIN_TIMEOUT = 2000;
+        const MAX_TIMEOUT = 10000;
+
+        // Send a status update to every subscriber
+        function setStatus(status) {
+            lastStatus = status;
+            subscribers.forEach(subscriber => subscriber.onStatus(status));
+        }
+
+        // Send an online/offline transition event to every subscriber
+        function emitEvent(event) {
+            event.host = settings.host;
+            event.timestamp = new Date().toISOString();
+            subscribers.forEach(subscriber => subscriber.onEvent(event));
+        }
+
+        // Delay before the next poll: the interval, doubled for every
+        // consecutive failure up to the configured maximum
+        function nextDelay() {
+            const interval = settings.interval * 1000;
+            if (errorCount === 0) {
+                return interval;
+            }
+            const backoff = interval * Math.pow(2, Math.min(errorCount, 20));
+            return Math.max(interval, Math.min(backoff, settings.backoffMax * 1000));
+        }
+
+        // Create request configuration
+        function createRequestConfig() {
+            let requestConfig = {
+                timeout: Math.max(MIN_TIMEOUT, Math.min(MAX_TIMEOUT, settings.interval * 1000)),
+                headers: {
+                    'Accept': 'application/json'
+                }
+            };
+            
+            if (sessionCookie) {
+                requestConfig.headers['Cookie'] = sessionCookie;
+            }
+            
+            return requestConfig;
+        }
+
+        // Log in to a password-protected meter. The firmware answers with a
+        // session cookie that has to be sent along with every request.
+        async function login() {
+            sessionCookie = null;
+            loggedIn = false;
+            
+            const response = await axios.get(`http://${settings.host}/L?w=${encodeURIComponent(settings.password)}`, {
+                timeout: createRequestConfig().timeout,
+                maxRedirects: 0,
+                validateStatus: function (status) {
+                    return status < 400; // The login page redirects on success
+                }
+            });
+            
+            const cookies = response.headers['set-cookie'] || [];
+            if (cookies.length > 0) {
+                sessionCookie = cookies.map(cookie => cookie.split(';')[0]).join('; ');
+            }
+            loggedIn = true;
+            owner.log(`Logged in to YouLess device ${settings.host}`);
+        }
+
+        // A protected meter answers with 401/403, or with its login page
+        // instead of the requested JSON, when there is no valid session
+        function isLoginRequired(error, response) {
+            if (error) {
+                return !!error.response && (error.response.status === 401 || error.response.status === 403);
+            }
+            return typeof response.data === 'string' && /<form|password/i.test(response.data);
+        }
+
+        // GET a path from the meter, logging in first (or again when the
+        // session has expired) if a password is configured
+        async function request(path) {
+            if (simulator) {
+                const data = simulator.respond(path);
+                if (data === undefined) {
+                    const error = new Error(`Simulator can't answer ${path}`);
+                    error.endpoint = path;
+                    throw error;
+                }
+                return {data: data};
+            }
+            
+            if (settings.password && !loggedIn) {
+                await login();
+            }
+            
+            let response = null;
+            let error = null;
+            try {
+                response = await axios.get(`http://${settings.host}${path}`, createRequestConfig());
+            } catch (requestError) {
+                error = requestError;
+            }
+            
+            if (isLoginRequired(error, response)) {
+                if (!settings.password) {
+                    throw authError("Device requires a password");
+                }
+                
+                // Session expired, log in once more and retry
+                await login();
+                error = null;
+                try {
+                    response = await axios.get(`http://${settings.host}${path}`, createRequestConfig());
+                } catch (requestError) {
+                    error = requestError;
+                }
+                if (isLoginRequired(error, response)) {
+                    sessionCookie = null;
+                    loggedIn = false;
+                    throw authError("Authentication failed, check the password");
+                }
+            }
+            
+            if (error) {
+                error.endpoint = path;
+                throw error;
+            }
+            return response;
+        }
+
+        function authError(message) {
+            const error = new Error(message);
+            error.code = "AUTH_FAILED";
+            return error;
+        }
+
+        // Read all endpoints of a profile and map them onto the payload
+        async function fetchProfileData(profile) {
+            const responses = {};
+            
+            for (const name of Object.keys(profile.endpoints)) {
+                const endpoint = profile.endpoints[name];
+                try {
+                    const response = await request(endpoint.path);
+                    owner.log(`Raw ${profile.id} ${name} data: ${JSON.stringify(response.data)}`);
+                    responses[name] = response.data;
+                } catch (error) {
+                    if (endpoint.required) {
+                        throw error;
+                    }
+                    owner.warn(`Error getting ${name} data: ${error.message}`);
+                }
+            }
+            
+            const meterData = {
+                timestamp: new Date().toISOString(),
+                model: profile.model,
+                profile: profile.id
+            };
+            Object.assign(meterData, profile.map(responses, settings));
+            
+            if (settings.telegramPath) {
+                try {
+                    const response = await request(settings.telegramPath);
+                    const telegram = parseP1Telegram(typeof response.data === 'string' ? response.data : JSON.stringify(response.data));
+                    if (telegram.crc.valid === false) {
+                        owner.warn(`Ignoring P1 telegram with CRC ${telegram.crc.actual}, expected ${telegram.crc.expected}`);
+                    } else {
+                        meterData.p1 = telegram;
+                    }
+                } catch (error) {
+                    owner.warn(`Error getting P1 telegram: ${error.message}`);
+                }
+            }
+            return meterData;
+        }
+
+        // Function to fetch a page from one of the meter's history logs
+        async function fetchHistory(historyRequest) {
+            const history = parseHistoryRequest(historyRequest);
+            const response = await request(history.path);
+            
+            owner.log(`Raw history data (${history.path}): ${JSON.stringify(response.data)}`);
+            
+            return {
+                log: history.log,
+                channel: history.channel,
+                page: history.page,
+                points: parseHistoryResponse(response.data)
+            };
+        }
+
+        // Detect the device profile from the /d device information, falling
+        // back to the configured model
+        async function detectProfile() {
+            const configured = getModelProfile(settings.model);
+            try {
+                // Try to get model information from /d endpoint
+                const modelResponse = await request('/d');
+                
+                if (modelResponse.data) {
+                    // Parse JSON if it's a string
+                    let deviceInfo = modelResponse.data;
+                    if (typeof deviceInfo === 'string') {
+                        try {
+                            deviceInfo = JSON.parse(deviceInfo);
+                        } catch (e) {
+                            // If it fails to parse, just use the configured model
+                            return configured;
+                        }
+                    }
+                    
+                    info = deviceInfo;
+                    const profile = findModelProfile(deviceInfo);
+                    if (profile) {
+                        return profile;
+                    }
+                    if (deviceInfo.model) {
+                        owner.warn(`Unknown model "${deviceInfo.model}", using configured model: ${settings.model}`);
+                    }
+                }
+            } catch (error) {
+                if (error.code === "AUTH_FAILED") {
+                    throw error;
+                }
+                // If we can't detect the model, fall back to the configured model
+                owner.warn(`Couldn't detect model: ${error.message}, using configured model: ${settings.model}`);
+            }
+            
+            return configured;
+        }
+
+        // Function to validate required configuration
+        function validateConfig() {
+            // Check for required host
+            if (!simulator && (!settings.host || settings.host.trim() === "")) {
+                owner.error("Host/IP address is required but not configured");
+                setStatus({fill: "red", shape: "dot", text: "missing host configuration"});
+                return false;
+            }
+            
+            // Check for required model
+            if (!settings.model || !getModelProfile(settings.model)) {
+                owner.error(`Valid model (${MODEL_PROFILES.map(profile => profile.id).join("/")}) is required but not configured`);
+                setStatus({fill: "red", shape: "dot", text: "missing model configuration"});
+                return false;
+            }
+            
+            // Check interval is valid
+            if (isNaN(settings.interval) || settings.interval < 1) {
+                owner.warn("Invalid interval, using default of 10 seconds");
+                settings.interval = 10;
+            }
+            
+            return true;
+        }
+
+        // Read the meter once
+        async function fetchReading() {
+            // Detect the model once; it is cleared again after a failed poll
+            if (detectedModel === null) {
+                detectedModel = await detectProfile();
+            }
+            
+            return fetchProfileData(detectedModel);
+        }
+
+        // Read the meter, sharing a request that is already running so
+        // readings never overlap or arrive out of order
+        function readMeter() {
+            if (inFlight === null) {
+                const reading = fetchReading().catch(error => {
+                    // The model may have changed (firmware update, other device on this address)
+                    if (inFlight === reading) {
+                        detectedModel = null;
+                    }
+                    throw error;
+                }).finally(() => {
+                    // Unless it was dropped for another host or model meanwhile
+                    if (inFlight === reading) {
+                        inFlight = null;
+                    }
+                });
+                inFlight = reading;
+            }
+            return inFlight;
+        }
+
+        // Fetch data from YouLess meter and hand it to all subscribers. The
+        // poll of a loop that was replaced meanwhile shares its request with
+        // the new loop, which hands out the result.
+        async function fetchData(id) {
+            try {
+                // Validate configuration first
+                if (!validateConfig()) {
+                    stopPolling();
+                    return;
+                }
+                
+                const started = Date.now();
+                let meterData;
+                try {
+                    meterData = await readMeter();
+                } finally {
+                    stats.lastDuration = (Date.now() - started) / 1000;
+                }
+                if (id !== pollLoopId) {
+                    return;
+                }
+                
+                // Reset error count on success
+                errorCount = 0;
+                stats.success++;
+                
+                if (!online) {
+                    online = true;
+                    owner.log(`YouLess device ${settings.host} is back online`);
+                    emitEvent({
+                        event: "online",
+                        offlineSince: offlineSince.toISOString(),
+                        downtime: Math.round((Date.now() - offlineSince.getTime()) / 1000)
+                    });
+                    offlineSince = null;
+                }
+                
+                subscribers.forEach(subscriber => subscriber.onReading(meterData));
+            } catch (error) {
+                if (id !== pollLoopId) {
+                    return;
+                }
+                errorCount++;
+                stats.failure++;
+                owner.warn(`Error fetching YouLess data: ${error.message}`);
+                
+                const details = Object.assign(describeError(error), {
+                    consecutive: errorCount,
+                    host: settings.host,
+                    timestamp: new Date().toISOString()
+                });
+                subscribers.forEach(subscriber => subscriber.onError(details));
+                
+                if (errorCount === 1) {
+                    offlineSince = new Date();
+                }
+                if (online && errorCount >= OFFLINE_AFTER_ERRORS) {
+                    online = false;
+                    emitEvent({
+                        event: "offline",
+                        offlineSince: offlineSince.toISOString(),
+                        errors: errorCount,
+                        error: error.message
+                    });
+                }
+                
+                if (settings.stopAfterErrors > 0 && errorCount >= settings.stopAfterErrors) {
+                    stopPolling();
+                    setStatus({fill: "red", shape: "dot", text: "stopped after errors"});
+                    owner.error("Stopped polling due to multiple consecutive errors");
+                    emitEvent({
+                        event: "stopped",
+                        errors: errorCount,
+                        error: error.message
+                    });
+                    return;
+                }
+                
+                const retry = Math.round(nextDelay() / 1000);
+                let text = online ? `error (${errorCount}), retry in ${retry}s` : `offline, retry in ${retry}s`;
+                if (error.code === "AUTH_FAILED") {
+                    text = `authentication failed, retry in ${retry}s`;
+                }
+                setStatus({fill: "red", shape: "ring", text: text});
+            }
+        }
+
+        // Poll and schedule the next poll once this one has finished
+        async function pollLoop(id) {
+            pollTimer = null;
+            const started = Date.now();
+            
+            await fetchData(id);
+            
+            if (polling && id === pollLoopId) {
+                const delay = Math.max(0, nextDelay() - (Date.now() - started));
+                pollTimer = setTimeout(() => pollLoop(id), delay);
+            }
+        }
+
+        // Start polling
+        function startPolling() {
+            // If already polling, don't start again
+            if (polling) return;
+            
+            // Validate configuration before starting
+            if (!validateConfig()) {
+                return;
+            }
+            
+            polling = true;
+            errorCount = 0;
+            setStatus({fill: "green", shape: "dot", text: "polling..."});
+            
+            // Immediate first call
+            pollLoop(++pollLoopId);
+            owner.log(`YouLess device started polling host ${settings.host} at interval ${settings.interval}s`);
+        }
+
+        // Stop polling
+        function stopPolling() {
+            if (startTimer !== null) {
+                clearTimeout(startTimer);
+                startTimer = null;
+            }
+            if (polling) {
+                polling = false;
+                pollLoopId++; // A poll still running is not handed out
+                if (pollTimer !== null) {
+                    clearTimeout(pollTimer);
+                    pollTimer = null;
+                }
+                setStatus({fill: "grey", shape: "dot", text: "not running"});
+                owner.log("YouLess device stopped polling");
+            }
+        }
+
+        return {
+            settings: settings,
+            get simulator() {
+                return simulator;
+            },
+
+            // Register a node for readings ({onReading, onStatus, onEvent,
+            // onError}). The first subscriber starts polling when auto-start
+            // is enabled.
+            subscribe(subscriber) {
+                subscribers.add(subscriber);
+                subscriber.onStatus(lastStatus);
+                
+                if (settings.startAutomatically && !polling && startTimer === null) {
+                    // Use a small delay to ensure all initialization is complete
+                    startTimer = setTimeout(() => {
+                        startTimer = null;
+                        startPolling();
+                    }, 1000);
+                }
+            },
+
+            // Remove a node; polling stops when nobody is listening anymore
+            unsubscribe(subscriber) {
+                subscribers.delete(subscriber);
+                if (subscribers.size === 0) {
+                    stopPolling();
+                }
+            },
+
+            start: startPolling,
+            stop: stopPolling,
+            restart() {
+                stopPolling();
+                startPolling();
+            },
+
+            // Single fetch for one node, outside the polling schedule
+            fetch() {
+                if (!validateConfig()) {
+                    return Promise.reject(new Error("Invalid device configuration"));
+                }
+                return readMeter();
+            },
+
+            // Single fetch from another meter with the same settings, for a
+            // node that reads a list of meters. Logging in sends the password
+            // to the host, so it is only used for the device's own host.
+            fetchFrom(host) {
+                const other = createDevice(owner, Object.assign({}, settings, {
+                    host: host,
+                    password: host === settings.host ? settings.password : "",
+                    startAutomatically: false
+                }));
+                return other.fetch();
+            },
+
+            // Change host, interval and/or model at runtime. The change is not
+            // saved; a redeploy returns to the configured settings.
+            reconfigure(changes) {
+                if (changes.host !== undefined && (typeof changes.host !== 'string' || changes.host.trim() === "")) {
+                    throw new Error("host must be a non-empty string");
+                }
+                const interval = changes.interval !== undefined ? parseInt(changes.interval) : settings.interval;
+                if (isNaN(interval) || interval < 1) {
+                    throw new Error("interval must be at least 1 second");
+                }
+                if (changes.model !== undefined && !getModelProfile(changes.model)) {
+                    throw new Error(`Unknown model "${changes.model}", expected one of ${MODEL_PROFILES.map(profile => profile.id).join("/")}`);
+                }
+                
+                const host = changes.host !== undefined ? changes.host.trim() : settings.host;
+                const model = changes.model !== undefined ? changes.model : settings.model;
+                if (host !== settings.host || model !== settings.model) {
+                    // Another meter, or another model to talk to. A request that
+                    // is still running reads the old one, so nobody may share it.
+                    inFlight = null;
+                    detectedModel = null;
+                    info = null;
+                    sessionCookie = null;
+                    loggedIn = false;
+                }
+                settings.host = host;
+                settings.interval = interval;
+                if (model !== settings.model) {
+                    settings.model = model;
+                    setupSimulator();
+                }
+                owner.log(`YouLess device reconfigured: host ${settings.host}, interval ${settings.interval}s, model ${settings.model}`);
+                
+                if (polling) {
+                    stopPolling();
+                    startPolling();
+                }
+            },
+
+            fetchHistory(request) {
+                if (!validateConfig()) {
+                    return Promise.reject(new Error("Invalid device configuration"));
+                }
+                return fetchHistory(request);
+            },
+
+            // Power values from the history logs between two times (ms),
+            // oldest first, reading pages back from the most recent one
+            async fetchBackfill(since, until) {
+                const log = chooseBackfillLog(until - since);
+                const points = new Map();
+                
+                for (let page = HISTORY_LOGS[log].minPage; page <= HISTORY_LOGS[log].maxPage; page++) {
+                    const history = await fetchHistory({history: log, page: page, channel: "power"});
+                    if (history.points.length === 0) break;
+                    
+                    history.points.forEach(point => {
+                        const time = Date.parse(point.timestamp);
+                        if (time > since && time < until) {
+                            points.set(time, point);
+                        }
+                    });
+                    if (Date.parse(history.points[0].timestamp) <= since) break;
+                }
+                
+                return {
+                    log: log,
+                    points: Array.from(points.keys()).sort((a, b) => a - b).map(time => points.get(time))
+                };
+            },
+
+            // Device information from /d ({model, mac, fw}), once detected
+            getInfo() {
+                return info;
+            },
+
+            // Poll counters and state for monitoring
+            getStats() {
+                return {
+                    success: stats.success,
+                    failure: stats.failure,
+                    lastDuration: stats.lastDuration,
+                    online: online,
+                    polling: polling,
+                    errors: errorCount,
+                    detectedModel: detectedModel ? detectedModel.id : null
+                };
+            },
+
+            close() {
+                stopPolling();
+                subscribers.clear();
+            }
+        };
+    }
+
+    // Why a connection test failed: the meter can't be reached, wants a
+    // password, or something else answered on that address
+    function diagnoseConnection(error) {
+        if (error.code === "AUTH_FAILED") {
+            return {diagnosis: "auth-required", message: error.message};
+        }
+        if (error.response) {
+            return {
+                diagnosis: "not-youless",
+                message: `${error.endpoint || "The device"} answered with HTTP ${error.response.status}, this doesn't look like a YouLess meter`
+            };
+        }
+        if (typeof error.code === 'string') {
+            return {diagnosis: "unreachable", message: `No answer from the device (${error.code}): ${error.message}`};
+        }
+        // Anything else is an answer the model mapping couldn't make sense of
+        return {diagnosis: "not-youless", message: `Unexpected answer from the device: ${error.message}`};
+    }
+
+    // Read a meter once for the editor's "Test connection" button. Returns
+    // the device information and a sample payload, or a diagnosis when the
+    // meter can't be read or isn't the configured model.
+    async function testConnection(settings) {
+        const warnings = [];
+        const owner = {
+            log: function() {},
+            warn: message => warnings.push(message),
+            error: message => warnings.push(message)
+        };
+        const device = createDevice(owner, Object.assign({}, settings, {startAutomatically: false}));
+        const result = {ok: false, host: settings.host, configured: settings.model};
+        
+        let reading;
+        try {
+            reading = await device.fetch();
+        } catch (error) {
+            return Object.assign(result, diagnoseConnection(error), {warnings: warnings});
+        }
+        
+        const info = device.getInfo() || {};
+        const detected = getModelProfile(device.getStats().detectedModel);
+        const configured = getModelProfile(settings.model);
+        Object.assign(result, {
+            model: info.model || reading.model,
+            firmware: info.fw || null,
+            mac: info.mac || null,
+            profile: detected ? detected.id : null,
+            payload: reading,
+            warnings: warnings
+        });
+        
+        if (typeof reading.power !== 'number' || isNaN(reading.power)) {
+            result.diagnosis = "not-youless";
+            result.message = "The device answered, but without a power reading; this doesn't look like a YouLess meter";
+        } else if (info.model && !findModelProfile(info)) {
+            result.diagnosis = "wrong-model";
+            result.message = `The device reports model "${info.model}", which isn't supported`;
+        } else if (detected && configured && detected.model !== configured.model) {
+            result.diagnosis = "wrong-model";
+            result.message = `The device is an ${detected.model}, but ${configured.label} is selected`;
+        } else {
+            result.ok = true;
+        }
+        return result;
+    }
+
+    // Config node holding the connection to a YouLess meter. All nodes using
+    // it share a single polling schedule.
+    function YoulessDeviceNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+        
+        // Store configuration
+        this.name = config.name;
+        this.host = (config.host || "").trim();
+        this.device = createDevice(node, getDeviceSettings(config, this.credentials));
+        
+        // Serve a simulated meter over HTTP when a port is configured, on
+        // this machine only unless another address is set
+        const simulatorPort = parseInt(config.simulatorPort);
+        const simulatorAddress = (config.simulatorAddress || "").trim() || "127.0.0.1";
+        let server = null;
+        const sockets = new Set();
+        if (node.device.simulator && simulatorPort > 0) {
+            server = createSimulatorServer(node.device.simulator);
+            server.on('error', function(error) {
+                node.error(`Simulator server on ${simulatorAddress}:${simulatorPort} failed: ${error.message}`);
+            });
+            server.on('connection', function(socket) {
+                sockets.add(socket);
+                socket.on('close', () => sockets.delete(socket));
+            });
+            server.listen(simulatorPort, simulatorAddress, function() {
+                node.log(`Simulated ${config.model} listening on ${simulatorAddress}:${simulatorPort}`);
+            });
+        }
+        
+        // Clean up on node removal or redeploy
+        node.on('close', function(done) {
+            node.device.close();
+            if (server && server.listening) {
+                server.close(() => done());
+                // Keep-alive connections would hold the server open
+                sockets.forEach(socket => socket.destroy());
+            } else {
+                done();
+            }
+        });
+    }
+
+    RED.nodes.registerType("youless-device", YoulessDeviceNode, {
+        credentials: {
+            password: {type: "password"}
+        }
+    });
+
+    function YoulessNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+        
+        // Store configuration
+        this.name = config.name || "YouLess SE";
+        this.customTopic = config.customTopic || "";
+        this.decimalPlaces = parseInt(config.decimalPlaces);
+        this.energyAccounting = config.energyAccounting || false;
+        this.costCalculation = config.costCalculation || false;
+        this.pricing = getPricing(config);
+        this.peakTracking = config.peakTracking || false;
+        this.peakThreshold = parseFloat(config.peakThreshold) || 0; // Watt, 0 = no warning
+        this.haDiscovery = config.haDiscovery || false;
+        this.haPrefix = config.haPrefix || "homeassistant";
+        this.s0Role = config.s0Role || "none";
+        this.backfill = config.backfill || false;
+        this.qualityCheck = config.qualityCheck || false;
+        this.qualityAction = config.qualityAction || "flag"; // flag, drop or hold
+        this.qualityLimits = {
+            maxPower: parseFloat(config.maxPower) || 30000, // W
+            staleHours: isNaN(parseFloat(config.staleHours)) ? 3 : parseFloat(config.staleHours)
+        };
+        this.flowRates = config.flowRates || false;
+        this.leakDetection = config.leakDetection || false;
+        this.leakSettings = {
+            window: null,
+            hours: isNaN(parseFloat(config.leakHours)) ? 2 : parseFloat(config.leakHours),
+            dailyLimit: parseFloat(config.leakDailyLimit) || 0 // Litres, 0 = no limit
+        };
+        try {
+            this.leakSettings.window = parseTimeWindow(config.leakWindow);
+        } catch (error) {
+            this.warn(`${error.message}, watching all day`);
+        }
+        this.gridAlarms = config.gridAlarms || false;
+        this.gridLimits = getGridLimits(config);
+        this.outputMode = config.outputMode || "object";
+        this.domainOutputs = config.domainOutputs || false;
+        this.influxMeasurement = config.influxMeasurement || "youless";
+        this.includeFields = parseFieldList(config.includeFields);
+        this.excludeFields = parseFieldList(config.excludeFields);
+        this.reportByException = config.reportByException === true;
+        this.deadbands = parseDeadbands(config.deadbands, message => this.warn(message));
+        this.heartbeat = parseFloat(config.heartbeat) || 0; // Minutes, 0 = no heartbeat
+        this.contextStore = config.contextStore || undefined; // Default store when empty
+        
+        // Validate decimal places
+        if (isNaN(this.decimalPlaces) || this.decimalPlaces < 0) {
+            this.decimalPlaces = -1; // Disabled (don't round)
+        }
+        
+        // Resolve the device this node reads from
+        const deviceNode = RED.nodes.getNode(config.device);
+        let device = null;
+        let ownsDevice = false;
+        
+        if (deviceNode) {
+            device = deviceNode.device;
+        } else if (config.host) {
+            // Flows created before the youless-device config node keep their
+            // connection settings on the node itself
+            node.warn("Connection settings on the node are deprecated, please select a YouLess device");
+            device = createDevice(node, getDeviceSettings(config));
+            ownsDevice = true;
+        }
+        
+        if (!device) {
+            node.error("No YouLess device configured");
+            node.status({fill: "red", shape: "dot", text: "missing device configuration"});
+            return;
+        }
+
+        const ports = getOutputPorts(config);
+        
+        // Latest reading for the metrics endpoint
+        const metricsSource = {node: node, device: device, lastReading: null};
+        metricsSources.add(metricsSource);
+
+        // Determine message topic
+        function getTopic() {
+            return node.customTopic || "youless";
+        }
+
+        // Send a message, or an array of messages, on one of the output
+        // ports; ports that are not enabled drop the message
+        function sendTo(port, msg) {
+            const index = ports.indexOf(port);
+            if (index === -1) {
+                return;
+            }
+            if (ports.length === 1) {
+                node.send(Array.isArray(msg) ? [msg] : msg);
+                return;
+            }
+            const output = ports.map(() => null);
+            output[index] = msg;
+            node.send(output);
+        }
+
+        // Send messages on several ports at once ({port: msg})
+        function sendToPorts(messages) {
+            const output = ports.map(port => messages[port] || null);
+            if (output.some(msg => msg !== null)) {
+                node.send(ports.length === 1 ? output[0] : output);
+            }
+        }
+
+        // Readings go to the port of their domain when the node has an
+        // output per domain
+        function sendToDomain(domain, msg) {
+            sendTo(node.domainOutputs ? domain : "readings", msg);
+        }
+
+        // Send a reading as a message per domain with data, for the domains
+        // of the given (changed) fields. Other properties are kept from msg.
+        function sendByDomain(meterData, fields, msg) {
+            const domains = new Set(fields.map(field => getFieldDomain(field.path)));
+            const payloads = splitReadingByDomain(meterData);
+            const messages = {};
+            Object.keys(payloads).filter(domain => domains.has(domain)).forEach(domain => {
+                messages[domain] = Object.assign({}, msg, {
+                    topic: `${getTopic()}/${domain}`,
+                    payload: payloads[domain]
+                });
+            });
+            sendToPorts(messages);
+        }
+
+        // Send a failed request to the error output, with the properties of
+        // the message that asked for it. Only polls count consecutive errors.
+        function sendError(error, msg) {
+            sendTo("errors", Object.assign({}, msg, {
+                topic: `${getTopic()}/error`,
+                payload: Object.assign(describeError(error), {
+                    consecutive: null,
+                    host: device.settings.host,
+                    timestamp: new Date().toISOString()
+                })
+            }));
+        }
+
+        // Values derived from earlier readings, kept in context storage so
+        // they survive a restart
+        let state = {};
+        let queue = new Promise(resolve => {
+            node.context().get("state", node.contextStore, function(err, value) {
+                if (err) {
+                    node.warn(`Couldn't load saved state: ${err.message}`);
+                }
+                state = value || {};
+                resolve();
+            });
+        });
+
+        function saveState() {
+            node.context().set("state", state, node.contextStore, function(err) {
+                if (err) {
+                    node.warn(`Couldn't save state: ${err.message}`);
+                }
+            });
+        }
+
+        // Readings are handled one at a time, after the saved state is loaded
+        function handleReading(meterData) {
+            // The reading is shared with the other nodes on the device, and
+            // each adds its own accounting, so work on a copy
+            const reading = RED.util.cloneMessage(meterData);
+            queue = queue.then(() => {
+                if (node.backfill) {
+                    return backfillGap(reading);
+                }
+            }).then(() => sendReading(reading)).catch(error => {
+                node.error(`Error processing YouLess data: ${error.message}`);
+                sendError(error, {});
+            });
+        }
+
+        // Fill the gap since the last reading from the meter's history when
+        // polls failed or Node-RED wasn't running. The time of the last
+        // reading is kept with the rest of the node state.
+        async function backfillGap(meterData) {
+            const time = Date.parse(meterData.timestamp);
+            const last = state.lastSample;
+            state.lastSample = time;
+            saveState();
+            
+            // A few missed polls are no gap worth filling
+            const minimumGap = Math.max(3 * device.settings.interval * 1000, 120000);
+            if (!last || time - last <= minimumGap) {
+                return;
+            }
+            
+            let backfill;
+            try {
+                backfill = await device.fetchBackfill(last, time);
+            } catch (error) {
+                node.warn(`Couldn't backfill readings since ${new Date(last).toISOString()}: ${error.message}`);
+                return;
+            }
+            node.log(`Backfilling ${backfill.points.length} readings since ${new Date(last).toISOString()} from the ${backfill.log} log`);
+            
+            backfill.points.forEach(point => {
+                const power = node.decimalPlaces >= 0 ? roundToDecimalPlaces(point.value, node.decimalPlaces) : point.value;
+                const msg = {
+                    topic: getTopic(),
+                    backfill: true,
+                    timestamp: point.timestamp,
+                    history: {log: backfill.log, channel: "power"}
+                };
                 
-                // Fetch data based on the detected model
-                if (detectedModel === "LS110") {
-                    meterData = await fetchLS110Data();
-                } else if (detectedModel === "LS120") {
-                    meterData = await fetchLS120Data();
+                if (node.outputMode === "split") {
+                    msg.topic = `${getTopic()}/power`;
+                    msg.payload = power;
+                    msg.unit = "W";
+                } else if (node.outputMode === "flat") {
+                    msg.payload = {power: power};
+                } else if (node.outputMode === "influx") {
+                    const info = device.getInfo() || {};
+                    msg.payload = buildLineProtocol([{path: ["power"], value: power, timestamp: point.timestamp}], {
+                        measurement: node.influxMeasurement,
+                        tags: {host: device.settings.host, model: meterData.model, mac: info.mac}
+                    });
                 } else {
-                    // If we can't determine the model, try LS120 first, then fall back to LS110
-                    try {
-                        meterData = await fetchLS120Data();
-                    } catch (ls120Error) {
-                        meterData = await fetchLS110Data();
-                    }
+                    msg.payload = {timestamp: point.timestamp, power: power};
                 }
+                sendToDomain("electricity", msg);
+            });
+        }
+
+        // Format a reading and send it
+        function sendReading(meterData) {
+            const now = new Date(meterData.timestamp);
+            
+            if (node.qualityCheck) {
+                state.quality = state.quality || {};
+                const quality = validateReading(state.quality, meterData, node.qualityLimits, now);
+                saveState();
                 
-                // Apply decimal places formatting if enabled
-                if (node.decimalPlaces >= 0) {
-                    meterData = processObjectValues(meterData, node.decimalPlaces);
+                if (quality.status === "bad" && node.qualityAction === "drop") {
+                    node.status({fill: "yellow", shape: "ring", text: `dropped: ${quality.reasons[0].message}`});
+                    return;
                 }
+                if (quality.status === "bad" && node.qualityAction === "hold") {
+                    quality.held = holdLastGood(state.quality, meterData, quality);
+                }
+                meterData.quality = quality;
+            }
+            
+            if (node.energyAccounting || node.costCalculation || node.s0Role !== "none") {
+                state.energy = state.energy || {};
+                const energy = updateEnergyAccounting(state.energy, getEnergyRegisters(meterData, node.s0Role), now,
+                    message => node.warn(message));
                 
-                // Reset error count on success
-                errorCount = 0;
-                
-                // Update node status
-                const powerDisplay = meterData.isGenerating ? 
-                    `-${meterData.powerAbsolute}` : 
-                    `${meterData.powerAbsolute}`;
-                
-                node.status({
-                    fill: meterData.isGenerating ? "green" : "yellow",
-                    shape: "dot", 
-                    text: `${powerDisplay} W`
-                });
-                
-                // Determine message topic
-                let messageTopic = "youless";
-                if (node.customTopic) {
-                    messageTopic = node.customTopic;
+                if (node.s0Role !== "none" && meterData.s0 && typeof meterData.power === 'number') {
+                    meterData.household = getHouseholdBalance(node.s0Role, meterData.power, meterData.s0.power, energy.today);
+                }
+                if (node.energyAccounting) {
+                    meterData.energy = energy;
                 }
+                if (node.costCalculation) {
+                    state.cost = state.cost || {};
+                    meterData.cost = updateEnergyCost(state.cost, energy.interval, meterData.tariff, now, node.pricing);
+                }
+                saveState();
+            }
+            
+            const importCounter = meterData.delivered ? meterData.delivered.total : meterData.counter;
+            if (node.peakTracking && typeof importCounter === 'number' && typeof meterData.power === 'number') {
+                state.peak = state.peak || {};
+                meterData.peak = updateQuarterPeak(state.peak, importCounter, meterData.power, now);
                 
-                // Send message with the data
-                node.send({
-                    topic: messageTopic,
-                    payload: meterData
-                });
-            } catch (error) {
-                errorCount++;
-                node.status({fill: "red", shape: "ring", text: `error (${errorCount}/${MAX_ERRORS})`});
-                node.warn(`Error fetching YouLess data: ${error.message}`);
+                // The meter's own peak, to compare with
+                if (meterData.peakPower !== undefined) {
+                    meterData.peak.meter = {
+                        power: meterData.peakPower,
+                        timestamp: meterData.peakTimestamp || null
+                    };
+                }
                 
-                if (errorCount >= MAX_ERRORS) {
-                    clearInterval(intervalId);
-                    intervalId = null;
-                    node.status({fill: "red", shape: "dot", text: "stopped after errors"});
-                    node.error("Stopped polling due to multiple consecutive errors");
+                if (node.peakThreshold > 0 && !state.peak.warned && meterData.peak.quarter.projected > node.peakThreshold) {
+                    state.peak.warned = true;
+                    sendTo("status", {
+                        topic: `${getTopic()}/peak`,
+                        payload: {
+                            event: "peak-warning",
+                            quarterStart: meterData.peak.quarter.start,
+                            average: meterData.peak.quarter.average,
+                            projected: meterData.peak.quarter.projected,
+                            threshold: node.peakThreshold,
+                            timestamp: now.toISOString()
+                        }
+                    });
+                }
+                saveState();
+            }
+            
+            if (node.flowRates || node.leakDetection) {
+                state.flow = state.flow || {};
+                for (const medium of ["gas", "water"]) {
+                    if (!meterData[medium]) continue;
+                    
+                    state.flow[medium] = state.flow[medium] || {};
+                    const flow = updateFlow(state.flow[medium], meterData[medium].counter, meterData[medium].timestamp);
+                    if (!flow) continue;
+                    
+                    if (node.flowRates) {
+                        // Gas in m³/h, water in L/min
+                        meterData[medium].flow = flow.rate === null ? null :
+                            medium === "gas" ? roundToDecimalPlaces(flow.rate, 3) : roundToDecimalPlaces(flow.rate * 1000 / 60, 2);
+                    }
+                    if (medium === "water" && node.leakDetection && flow.interval) {
+                        state.leak = state.leak || {};
+                        updateLeakDetection(state.leak, flow.interval, node.leakSettings).forEach(event => {
+                            sendTo("status", {
+                                topic: `${getTopic()}/leak`,
+                                payload: event
+                            });
+                        });
+                    }
+                }
+                saveState();
+            }
+            
+            if (node.gridAlarms) {
+                state.grid = state.grid || {};
+                const grid = updateGridAlarms(state.grid, meterData, node.gridLimits, now);
+                meterData.grid = grid.summary;
+                if (grid.events.length > 0) {
+                    sendTo("alarms", grid.events.map(event => ({
+                        topic: `${getTopic()}/alarm`,
+                        payload: event
+                    })));
+                }
+                saveState();
+            }
+            
+            // Apply decimal places formatting if enabled
+            if (node.decimalPlaces >= 0) {
+                meterData = processObjectValues(meterData, node.decimalPlaces);
+            }
+            
+            // Update node status
+            const powerDisplay = meterData.isGenerating ? 
+                `-${meterData.powerAbsolute}` : 
+                `${meterData.powerAbsolute}`;
+            
+            node.status({
+                fill: meterData.isGenerating ? "green" : "yellow",
+                shape: "dot", 
+                text: `${powerDisplay} W`
+            });
+            
+            metricsSource.lastReading = meterData;
+            
+            // Send message with the data
+            if (node.outputMode === "split" || node.outputMode === "flat" || node.outputMode === "influx") {
+                sendFields(meterData);
+            } else {
+                const changed = reportChanges(flattenReading(meterData), !node.domainOutputs);
+                if (changed.length === 0) {
+                    // Nothing to report
+                } else if (node.domainOutputs) {
+                    sendByDomain(meterData, changed, {});
+                } else {
+                    sendTo("readings", {
+                        topic: getTopic(),
+                        payload: meterData
+                    });
                 }
             }
+            
+            if (node.haDiscovery) {
+                sendHomeAssistant(meterData);
+            }
         }
 
-        // Start polling
-        function startPolling() {
-            // If already polling, don't start again
-            if (intervalId !== null) return;
+        // Send the values of a reading one message per measurement (split),
+        // as a single flat {"phases/L1/voltage": 230.1} object (flat) or as
+        // InfluxDB line protocol (influx), per domain with an output per domain.
+        // A reading from another meter comes with its source ({host, msg}):
+        // it is not reported by exception, and keeps the properties of msg.
+        function sendFields(meterData, source) {
+            let fields = flattenReading(meterData).filter(field => {
+                if (node.includeFields.length > 0 && !matchesField(field.path, node.includeFields)) return false;
+                return !matchesField(field.path, node.excludeFields);
+            });
+            if (!source) {
+                fields = reportChanges(fields, false);
+            }
             
-            // Validate configuration before starting
-            if (!validateConfig()) {
+            const format = selected => {
+                const msg = formatFields(selected, meterData, source);
+                if (!msg || !source) return msg;
+                return Array.isArray(msg) ? msg.map(entry => Object.assign({}, source.msg, entry)) : Object.assign({}, source.msg, msg);
+            };
+            
+            if (!node.domainOutputs) {
+                const msg = format(fields);
+                if (msg) {
+                    sendTo("readings", msg);
+                }
                 return;
             }
             
-            errorCount = 0;
-            node.status({fill: "green", shape: "dot", text: "polling..."});
+            const messages = {};
+            DOMAIN_PORTS.forEach(domain => {
+                const msg = format(fields.filter(field => getFieldDomain(field.path) === domain));
+                if (msg) {
+                    messages[domain] = msg;
+                }
+            });
+            sendToPorts(messages);
+        }
+
+        // The message, or messages, for a set of fields in the output mode
+        function formatFields(fields, meterData, source) {
+            if (node.outputMode === "influx") {
+                // The MAC is only known for the device's own meter
+                const info = source ? {} : device.getInfo() || {};
+                const lines = buildLineProtocol(fields, {
+                    measurement: node.influxMeasurement,
+                    tags: {
+                        host: source ? source.host : device.settings.host,
+                        model: meterData.model,
+                        mac: info.mac
+                    }
+                });
+                return lines ? {topic: getTopic(), payload: lines} : null;
+            }
             
-            // Immediate first call
-            fetchData();
+            if (node.outputMode === "flat") {
+                if (fields.length === 0) return null;
+                
+                const payload = {};
+                fields.forEach(field => {
+                    payload[field.path.join("/")] = field.value;
+                });
+                return {
+                    topic: getTopic(),
+                    payload: payload,
+                    timestamp: meterData.timestamp
+                };
+            }
             
-            // Set up the interval
-            intervalId = setInterval(fetchData, node.interval * 1000);
-            node.log(`YouLess SE node started polling host ${node.host} at interval ${node.interval}s`);
+            // Only measurements get their own message, not descriptive text
+            const messages = fields.filter(field => typeof field.value === 'number' || typeof field.value === 'boolean')
+                .map(field => ({
+                    topic: `${getTopic()}/${field.path.join("/")}`,
+                    payload: field.value,
+                    unit: getFieldUnit(field.path),
+                    timestamp: field.timestamp
+                }));
+            return messages.length > 0 ? messages : null;
         }
 
-        // Stop polling
-        function stopPolling() {
-            if (intervalId !== null) {
-                clearInterval(intervalId);
-                intervalId = null;
-                node.status({fill: "grey", shape: "dot", text: "not running"});
-                node.log("YouLess SE node stopped polling");
+        // Values last sent per field path, and when, for report by exception
+        const reported = {};
+        let lastReported = 0;
+
+        // Report by exception: the fields that moved outside their deadband
+        // since they were last sent, or all of them when the heartbeat is due.
+        // With whole set, any change sends all fields.
+        function reportChanges(fields, whole) {
+            if (!node.reportByException) return fields;
+            
+            const now = Date.now();
+            let changed = fields;
+            if (!(node.heartbeat > 0 && now - lastReported >= node.heartbeat * 60000)) {
+                changed = fields.filter(field => {
+                    const deadband = node.deadbands.find(entry => matchesField(field.path, [entry.path]));
+                    return exceedsDeadband(field.value, reported[field.path.join("/")], deadband);
+                });
+                if (whole && changed.length > 0) {
+                    changed = fields;
+                }
+            }
+            
+            changed.forEach(field => {
+                reported[field.path.join("/")] = field.value;
+            });
+            if (changed.length > 0) {
+                lastReported = now;
+            }
+            return changed;
+        }
+
+        // Sensors announced to Home Assistant since the node started
+        let announcedSensors = null;
+
+        // Send the reading as MQTT state, preceded by discovery messages when
+        // the node has just started or the available sensors have changed
+        function sendHomeAssistant(meterData) {
+            const stateTopic = `${getTopic()}/state`;
+            const sensors = getHomeAssistantSensors(meterData);
+            const signature = sensors.map(sensor => sensor.path).join(",");
+            const messages = [];
+            
+            if (signature !== announcedSensors) {
+                const info = device.getInfo() || {};
+                const mac = info.mac || "";
+                announcedSensors = signature;
+                messages.push(...buildHomeAssistantDiscovery(sensors, {
+                    id: mac ? mac.replace(/[^0-9a-fA-F]/g, "").toLowerCase() : node.id.replace(/[^\w]/g, ""),
+                    name: config.name || (info.model ? `YouLess ${info.model}` : "YouLess"),
+                    model: meterData.profile || meterData.model,
+                    firmware: info.fw,
+                    mac: mac,
+                    prefix: node.haPrefix,
+                    stateTopic: stateTopic
+                }));
+            }
+            
+            messages.push({
+                topic: stateTopic,
+                payload: meterData
+            });
+            sendTo("discovery", messages);
+        }
+
+        const subscriber = {
+            onReading: handleReading,
+            onStatus: status => node.status(status),
+            onEvent: event => sendTo("status", {
+                topic: `${getTopic()}/status`,
+                payload: event
+            }),
+            onError: details => sendTo("errors", {
+                topic: `${getTopic()}/error`,
+                payload: details
+            })
+        };
+        device.subscribe(subscriber);
+
+        // Apply {host, interval, model, decimalPlaces, topic} from a configure
+        // message. Host, interval and model change the device, and so every
+        // node using it. Nothing is applied when a value is invalid.
+        function configure(changes) {
+            if (typeof changes !== 'object') {
+                throw new Error("configure must be an object");
+            }
+            
+            const decimalPlaces = changes.decimalPlaces !== undefined ? parseInt(changes.decimalPlaces) : node.decimalPlaces;
+            if (isNaN(decimalPlaces) || decimalPlaces < -1 || decimalPlaces > 10) {
+                throw new Error("decimalPlaces must be between -1 and 10");
             }
+            if (changes.topic !== undefined && typeof changes.topic !== 'string') {
+                throw new Error("topic must be a string");
+            }
+            
+            const deviceChanges = {};
+            ["host", "interval", "model"].forEach(name => {
+                if (changes[name] !== undefined) {
+                    deviceChanges[name] = changes[name];
+                }
+            });
+            if (Object.keys(deviceChanges).length > 0) {
+                device.reconfigure(deviceChanges);
+            }
+            
+            node.decimalPlaces = decimalPlaces;
+            if (changes.topic !== undefined) {
+                node.customTopic = changes.topic;
+            }
+        }
+
+        // Current configuration and state, for the status command
+        function getNodeStatus() {
+            const stats = device.getStats();
+            return {
+                config: {
+                    host: device.settings.host,
+                    interval: device.settings.interval,
+                    model: device.settings.model,
+                    decimalPlaces: node.decimalPlaces,
+                    topic: getTopic()
+                },
+                detectedModel: stats.detectedModel,
+                info: device.getInfo(),
+                polling: stats.polling,
+                online: stats.online,
+                errorCount: stats.errors,
+                polls: {
+                    success: stats.success,
+                    failure: stats.failure
+                },
+                lastReading: metricsSource.lastReading || null
+            };
         }
 
-        // Handle input messages to control the node
+        // Handle input messages to control the device
         node.on('input', function(msg) {
             if (msg.payload === "stop") {
-                stopPolling();
+                device.stop();
             } else if (msg.payload === "start") {
-                startPolling();
+                device.start();
             } else if (msg.payload === "restart") {
-                stopPolling();
-                startPolling();
-            } else {
-                // For single fetch, validate configuration first
-                if (validateConfig()) {
-                    fetchData();
+                device.restart();
+            } else if (msg.payload === "status") {
+                msg.topic = `${getTopic()}/status`;
+                msg.payload = getNodeStatus();
+                sendToDomain("electricity", msg);
+            } else if (msg.payload && typeof msg.payload === 'object' && msg.payload.configure) {
+                // Runtime changes, e.g. {configure: {host: "192.168.1.20", interval: 30}}
+                try {
+                    configure(msg.payload.configure);
+                } catch (error) {
+                    node.error(`Invalid configuration: ${error.message}`, msg);
+                }
+            } else if (typeof msg.payload === 'string' && /^\s*\//.test(msg.payload)) {
+                // Raw P1 telegram, e.g. from a serial P1 cable
+                let telegram;
+                try {
+                    telegram = parseP1Telegram(msg.payload);
+                } catch (error) {
+                    node.error(`Invalid P1 telegram: ${error.message}`, msg);
+                    return;
+                }
+                if (telegram.crc.valid === false) {
+                    node.error(`Invalid P1 telegram: CRC ${telegram.crc.actual}, expected ${telegram.crc.expected}`, msg);
+                    return;
                 }
+                msg.topic = `${getTopic()}/p1`;
+                msg.payload = telegram;
+                sendToDomain("electricity", msg);
+            } else if (msg.payload && typeof msg.payload === 'object' && msg.payload.prices) {
+                // Dynamic prices, e.g. {prices: [{start: "2024-01-01T00:00:00Z", import: 0.21, export: 0.09}, ...]}
+                let prices;
+                try {
+                    prices = parseDynamicPrices(msg.payload.prices);
+                } catch (error) {
+                    node.error(`Invalid dynamic prices: ${error.message}`, msg);
+                    return;
+                }
+                
+                queue = queue.then(() => {
+                    // Keep prices from yesterday onwards
+                    const since = Date.now() - 86400000;
+                    state.cost = state.cost || {};
+                    const kept = (state.cost.prices || []).filter(entry => {
+                        return entry.start >= since && !prices.some(price => price.start === entry.start);
+                    });
+                    state.cost.prices = kept.concat(prices).sort((a, b) => a.start - b.start);
+                    saveState();
+                    node.log(`Received ${prices.length} dynamic prices`);
+                });
+            } else if (msg.payload && typeof msg.payload === 'object' && msg.payload.history) {
+                // History request, e.g. {history: "hour", page: 2, channel: "gas"}
+                device.fetchHistory(msg.payload).then(history => {
+                    msg.topic = `${getTopic()}/history/${history.channel}/${history.log}`;
+                    msg.history = {
+                        log: history.log,
+                        channel: history.channel,
+                        page: history.page
+                    };
+                    msg.payload = history.points;
+                    sendToDomain(history.channel === "power" ? "electricity" : history.channel, msg);
+                }).catch(error => {
+                    node.error(`Error fetching YouLess history: ${error.message}`, msg);
+                    sendError(error, msg);
+                });
+            } else if (typeof msg.host === 'string' && msg.host.trim() !== "") {
+                // Single fetch from another meter. The reading is only rounded:
+                // accounting and the other calculations follow the device's own meter.
+                const host = msg.host.trim();
+                device.fetchFrom(host).then(meterData => {
+                    const reading = node.decimalPlaces >= 0 ? processObjectValues(meterData, node.decimalPlaces) : meterData;
+                    if (node.outputMode === "split" || node.outputMode === "flat" || node.outputMode === "influx") {
+                        sendFields(reading, {host: host, msg: msg});
+                        return;
+                    }
+                    if (node.domainOutputs) {
+                        sendByDomain(reading, flattenReading(reading), msg);
+                        return;
+                    }
+                    msg.topic = getTopic();
+                    msg.payload = reading;
+                    sendTo("readings", msg);
+                }).catch(error => {
+                    node.error(`Error fetching YouLess data from ${msg.host}: ${error.message}`, msg);
+                    sendError(error, msg);
+                });
+            } else {
+                // Single fetch for this node only
+                device.fetch().then(handleReading).catch(error => {
+                    node.warn(`Error fetching YouLess data: ${error.message}`);
+                    sendError(error, msg);
+                });
             }
         });
 
-        // Start polling when the node is deployed (if configured)
-        if (this.startAutomatically) {
-            // Use a small delay to ensure all initialization is complete
-            setTimeout(() => {
-                startPolling();
-            }, 1000);
-        }
-
         // Clean up on node removal or redeploy
         node.on('close', function() {
-            stopPolling();
+            metricsSources.delete(metricsSource);
+            device.unsubscribe(subscriber);
+            if (ownsDevice) {
+                device.close();
+            }
         });
     }
 
@@ -606,20 +3771,100 @@ module.exports = function(RED) {
     
     // Node configuration in the admin UI
     RED.httpAdmin.get("/youless-se/models", function(req, res) {
-        const models = [
-            { value: "LS110", label: "LS110 (Basic model)" },
-            { value: "LS120", label: "LS120 (with S0 pulse counter)" }
-        ];
+        const models = MODEL_PROFILES.map(profile => ({
+            value: profile.id,
+            label: profile.label,
+            features: profile.features,
+            simulated: profile.simulated === true
+        }));
         res.json(models);
     });
     
-    // Add auto-discover endpoint
-    RED.httpAdmin.get("/youless-se/discover", async function(req, res) {
+    // Test the connection settings of the device editor ({host, model,
+    // password, interval, telegramPath}). Without a new password the one
+    // stored for the config node ({id}) is used, but only for the host it
+    // was stored for: logging in sends the password to the host.
+    RED.httpAdmin.post("/youless-se/test", RED.auth.needsPermission("youless-device.write"), async function(req, res) {
+        const config = req.body || {};
+        const profile = getModelProfile(config.model);
+        if (!profile) {
+            res.status(400).json({ error: `Unknown model "${config.model}"` });
+            return;
+        }
+        if (!profile.simulated && (typeof config.host !== 'string' || config.host.trim() === "")) {
+            res.status(400).json({ error: "Host/IP address is required" });
+            return;
+        }
+        
+        const host = (config.host || "").trim();
+        let credentials = {password: config.password};
+        let storedPassword = null;
+        if (!config.password || config.password === "__PWRD__") {
+            const deviceNode = config.id ? RED.nodes.getNode(config.id) : null;
+            credentials = {};
+            if (deviceNode && deviceNode.type === "youless-device") {
+                storedPassword = deviceNode.host === host;
+                if (storedPassword) {
+                    credentials = RED.nodes.getCredentials(config.id) || {};
+                }
+            }
+        }
+        
+        try {
+            const result = await testConnection(getDeviceSettings(Object.assign({}, config, {host: host, password: ""}), credentials));
+            if (result.diagnosis === "auth-required" && storedPassword === false) {
+                result.message = "The stored password is only used for the deployed host, enter it again to test another host";
+            }
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+    
+    // Latest readings of all youless-se nodes for Prometheus
+    RED.httpAdmin.get("/youless-se/metrics", RED.auth.needsPermission("youless-se.read"), function(req, res) {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(renderMetrics(metricsSources));
+    });
+    
+    // Add auto-discover endpoint, scanning and answering in one request
+    RED.httpAdmin.get("/youless-se/discover", RED.auth.needsPermission("youless-device.write"), async function(req, res) {
         try {
-            const devices = await discoverYouLess();
+            const devices = await startDiscovery(req.query).promise;
             res.json({ devices: devices });
         } catch (error) {
             res.status(500).json({ error: error.message });
         }
     });
+    
+    // Start a discovery scan in the background ({range, concurrency, macPrefix})
+    RED.httpAdmin.post("/youless-se/discover", RED.auth.needsPermission("youless-device.write"), function(req, res) {
+        try {
+            const job = startDiscovery(req.body || {});
+            res.json(describeDiscovery(job));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+    
+    // Progress and devices found so far
+    RED.httpAdmin.get("/youless-se/discover/:id", RED.auth.needsPermission("youless-device.read"), function(req, res) {
+        const job = discoveryJobs.get(req.params.id);
+        if (!job) {
+            res.status(404).json({ error: "Unknown discovery scan" });
+            return;
+        }
+        res.json(describeDiscovery(job));
+    });
+    
+    // Cancel a running scan; probes that already started still finish
+    RED.httpAdmin.delete("/youless-se/discover/:id", RED.auth.needsPermission("youless-device.write"), function(req, res) {
+        const job = discoveryJobs.get(req.params.id);
+        if (!job) {
+            res.status(404).json({ error: "Unknown discovery scan" });
+            return;
+        }
+        job.cancelled = true;
+        res.json(describeDiscovery(job));
+    });
 };